@@ -0,0 +1,255 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { parseList } from './sources.js';
+
+/**
+ * Access control for the HTTP servers: API keys, per-key request rate limits, daily render-minute
+ * quotas and the CORS origin allowlist.
+ *
+ * Keys come from the JSON file named by API_KEYS_FILE and the comma-separated API_KEYS. With no keys
+ * configured, requests aren't authenticated (nor rate limited). Usage is counted in memory, so it
+ * starts over when the server restarts. Jobs and videos belong to the key that made them, and other
+ * keys can't see them.
+ */
+
+// Requests each key may make per minute, unless it has its own rate_limit
+const DEFAULT_RATE_LIMIT = 60;
+const RATE_WINDOW_MS = 60 * 1000;
+
+const ALLOWED_HEADERS = 'Content-Type, Authorization, X-API-Key';
+
+function hashKey( key ) {
+    return crypto.createHash( 'sha256' ).update( key ).digest( 'hex' );
+}
+
+function resolveLimit( value, name, fallback ) {
+    if ( value === undefined || value === null ) return fallback;
+    if ( typeof value !== 'number' || !( value >= 0 ) ) throw new Error( `${ name } must be a number of 0 or more (0 for no limit)` );
+    return value;
+}
+
+/**
+ * Load the API keys, keyed by the SHA-256 hash of the key.
+ *
+ * The key store file holds a list of { name, key | key_sha256, rate_limit, daily_minutes }, where
+ * key_sha256 (the hex hash of the key) keeps the key itself out of the file. API_KEYS holds
+ * `name:key` or bare keys, which get the default limits. Throws when the key store is invalid,
+ * so the server doesn't start without the keys it was meant to check.
+ *
+ * @param {Object} env - Environment variables (usually process.env).
+ * @returns {Map} - { name, rateLimit, dailyMinutes } of each key by its hash.
+ */
+export function loadApiKeys( env ) {
+    const defaults = {
+        rateLimit: resolveLimit( env.API_RATE_LIMIT ? Number( env.API_RATE_LIMIT ) : undefined, 'API_RATE_LIMIT', DEFAULT_RATE_LIMIT ),
+        dailyMinutes: resolveLimit( env.API_DAILY_MINUTES ? Number( env.API_DAILY_MINUTES ) : undefined, 'API_DAILY_MINUTES', 0 )
+    };
+    const keys = new Map();
+
+    if ( env.API_KEYS_FILE ) {
+        let entries;
+        try {
+            entries = JSON.parse( fs.readFileSync( env.API_KEYS_FILE, 'utf8' ) );
+        } catch ( err ) {
+            throw new Error( `Failed to load API keys from ${ env.API_KEYS_FILE }: ${ err.message }` );
+        }
+        if ( !Array.isArray( entries ) ) throw new Error( `${ env.API_KEYS_FILE } must hold a list of keys` );
+
+        entries.forEach( ( entry, i ) => {
+            const hash = entry?.key_sha256 ? String( entry.key_sha256 ).toLowerCase() : entry?.key && hashKey( String( entry.key ) );
+            if ( !hash ) throw new Error( `API key ${ i } in ${ env.API_KEYS_FILE } needs a key or key_sha256` );
+            keys.set( hash, {
+                name: entry.name || `key-${ i + 1 }`,
+                rateLimit: resolveLimit( entry.rate_limit, `rate_limit of API key ${ i }`, defaults.rateLimit ),
+                dailyMinutes: resolveLimit( entry.daily_minutes, `daily_minutes of API key ${ i }`, defaults.dailyMinutes )
+            } );
+        } );
+    }
+
+    parseList( env.API_KEYS ).forEach( ( entry, i ) => {
+        const separator = entry.indexOf( ':' );
+        const name = separator > 0 ? entry.slice( 0, separator ) : `env-${ i + 1 }`;
+        keys.set( hashKey( separator > 0 ? entry.slice( separator + 1 ) : entry ), { name, ...defaults } );
+    } );
+
+    return keys;
+}
+
+/**
+ * Seconds until the next UTC midnight, when the daily quotas start over.
+ */
+function secondsUntilTomorrow( now ) {
+    const tomorrow = new Date( now );
+    tomorrow.setUTCHours( 24, 0, 0, 0 );
+    return Math.ceil( ( tomorrow - now ) / 1000 );
+}
+
+/**
+ * Create the access control for a server.
+ *
+ * @param {Object} env - Environment variables (usually process.env): API_KEYS_FILE, API_KEYS, API_RATE_LIMIT,
+ *   API_DAILY_MINUTES and CORS_ORIGINS.
+ * @returns {Object} - The access control with getCorsHeaders(), authorize(), checkQuota(), recordUsage(), canAccess()
+ *   and getUsage() methods, and keyCount, the number of keys configured.
+ */
+export function createAccessControl( env ) {
+    const keys = loadApiKeys( env );
+    // Any origin until an allowlist is configured, as before CORS_ORIGINS existed; empty allows none
+    const corsOrigins = env.CORS_ORIGINS === undefined ? ['*'] : parseList( env.CORS_ORIGINS );
+    // Per key hash: { windowStart, requests } for the rate limit and { day, seconds } rendered today
+    const usage = new Map();
+
+    function getUsageRecord( client ) {
+        const day = new Date().toISOString().slice( 0, 10 );
+        let record = usage.get( client.id );
+        if ( !record ) {
+            record = { windowStart: 0, requests: 0, day, seconds: 0 };
+            usage.set( client.id, record );
+        }
+        if ( record.day !== day ) Object.assign( record, { day, seconds: 0 } );
+        return record;
+    }
+
+    /**
+     * CORS headers for a request from the given Origin: none unless it is in CORS_ORIGINS ('*', the default,
+     * allows any).
+     */
+    function getCorsHeaders( origin ) {
+        const headers = { 'Vary': 'Origin' };
+        let allowOrigin = null;
+        if ( corsOrigins.includes( '*' ) ) allowOrigin = '*';
+        else if ( origin && corsOrigins.includes( origin ) ) allowOrigin = origin;
+        if ( !allowOrigin ) return headers;
+
+        return {
+            ...headers,
+            'Access-Control-Allow-Origin': allowOrigin,
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': ALLOWED_HEADERS
+        };
+    }
+
+    /**
+     * Authenticate a request by its key (an Authorization: Bearer header, an X-API-Key header or, for
+     * clients such as EventSource that can't set headers, an api_key query parameter) and count it
+     * against the key's rate limit.
+     *
+     * @param {Object} req - The HTTP request.
+     * @param {Object} query - The parsed query string.
+     * @returns {Object} - { client, headers } (client is null when keys aren't configured),
+     *   or { error, status, headers } when the request is refused.
+     */
+    function authorize( req, query = {} ) {
+        if ( keys.size === 0 ) return { client: null, headers: {} };
+
+        const bearer = /^Bearer\s+(.+)$/i.exec( req.headers.authorization || '' );
+        const key = bearer?.[1].trim() || req.headers['x-api-key'] || query.api_key;
+        if ( !key ) return { error: 'Missing API key', status: 401, headers: { 'WWW-Authenticate': 'Bearer' } };
+
+        const id = hashKey( String( key ) );
+        const entry = keys.get( id );
+        if ( !entry ) return { error: 'Invalid API key', status: 401, headers: { 'WWW-Authenticate': 'Bearer' } };
+
+        const client = { id, ...entry };
+        if ( client.rateLimit === 0 ) return { client, headers: {} };
+
+        const record = getUsageRecord( client );
+        const now = Date.now();
+        if ( now - record.windowStart >= RATE_WINDOW_MS ) Object.assign( record, { windowStart: now, requests: 0 } );
+        const reset = Math.ceil( ( record.windowStart + RATE_WINDOW_MS - now ) / 1000 );
+        const headers = { 'X-RateLimit-Limit': String( client.rateLimit ), 'X-RateLimit-Reset': String( reset ) };
+
+        if ( record.requests >= client.rateLimit ) {
+            return {
+                error: `Rate limit of ${ client.rateLimit } requests per minute exceeded`,
+                status: 429,
+                headers: { ...headers, 'X-RateLimit-Remaining': '0', 'Retry-After': String( reset ) }
+            };
+        }
+        record.requests++;
+        return { client, headers: { ...headers, 'X-RateLimit-Remaining': String( client.rateLimit - record.requests ) } };
+    }
+
+    /**
+     * Check that a client has render minutes left today. A job that starts within the quota is
+     * finished, so the quota can be overrun by the length of the jobs already running.
+     *
+     * @returns {Object|null} - { error, status, headers } when the quota is used up, otherwise null.
+     */
+    function checkQuota( client ) {
+        if ( !client || client.dailyMinutes === 0 ) return null;
+
+        const record = getUsageRecord( client );
+        if ( record.seconds < client.dailyMinutes * 60 ) return null;
+        return {
+            error: `Daily quota of ${ client.dailyMinutes } render minutes used up`,
+            status: 429,
+            headers: { 'Retry-After': String( secondsUntilTomorrow( new Date() ) ) }
+        };
+    }
+
+    /**
+     * Add the length of a rendered video to a client's usage for today.
+     */
+    function recordUsage( client, seconds ) {
+        if ( !client || !( seconds > 0 ) ) return;
+        getUsageRecord( client ).seconds += seconds;
+    }
+
+    /**
+     * Whether a client may see a job or video owned by the given key ID: always when keys aren't
+     * configured, and for things made without a key.
+     */
+    function canAccess( client, owner ) {
+        return !client || !owner || owner === client.id;
+    }
+
+    /**
+     * A client's limits and what it has used of them.
+     */
+    function getUsage( client ) {
+        const record = getUsageRecord( client );
+        return {
+            name: client.name,
+            rateLimit: client.rateLimit,
+            dailyMinutes: client.dailyMinutes,
+            usedMinutes: Math.round( record.seconds / 60 * 100 ) / 100,
+            resetsIn: secondsUntilTomorrow( new Date() )
+        };
+    }
+
+    return { keyCount: keys.size, getCorsHeaders, authorize, checkQuota, recordUsage, canAccess, getUsage };
+}
+
+/**
+ * Create the record of which key made each video, one JSON file per video ID. It is kept on disk
+ * because videos outlive the in-memory jobs that made them.
+ *
+ * @param {Object} options
+ * @param {string} options.directory - Directory the records are kept in.
+ * @returns {Object} - The index with get( videoId ) and set( videoId, owner ) methods.
+ */
+export function createOwnerIndex( { directory } ) {
+    const root = path.resolve( directory );
+    const recordPath = ( videoId ) => path.join( root, `${ videoId }.json` );
+
+    /**
+     * The ID of the key that made a video, or null when it was made without one.
+     */
+    function get( videoId ) {
+        if ( !/^[\w-]+$/.test( String( videoId ) ) ) return null;
+        try {
+            return JSON.parse( fs.readFileSync( recordPath( videoId ), 'utf8' ) ).owner;
+        } catch {
+            return null;
+        }
+    }
+
+    function set( videoId, owner ) {
+        fs.mkdirSync( root, { recursive: true } );
+        fs.writeFileSync( recordPath( videoId ), JSON.stringify( { owner, createdAt: new Date().toISOString() } ) );
+    }
+
+    return { get, set };
+}
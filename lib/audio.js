@@ -0,0 +1,174 @@
+/**
+ * Audio post-processing: loudness normalization, trimmed silence, gaps between ayat, fades
+ * and an ambient track under the recitation.
+ * Normalization, trimming and gaps are applied to each file as the recitation is joined; fades
+ * and the ambient track are mixed in with the final encode (see buildAudioMix).
+ */
+
+// Default EBU R128 target, in LUFS, with the usual true peak and loudness range for online video
+export const DEFAULT_LOUDNESS = -16;
+const TRUE_PEAK = -1.5;
+const LOUDNESS_RANGE = 11;
+
+// Silence below this level (dB) for at least this long (seconds) is trimmed from the ends of each file
+const DEFAULT_SILENCE_THRESHOLD = -50;
+const MIN_SILENCE_DURATION = 0.1;
+
+// Limits for the gaps and fades (seconds), and the ambient volume
+const MAX_GAP = 10;
+const MAX_FADE = 10;
+const DEFAULT_AMBIENT_VOLUME = 0.15;
+
+// Ducking: how much and how quickly the ambient track drops while the reciter is heard
+const DUCKING = 'threshold=0.02:ratio=8:attack=20:release=600';
+
+function resolveSeconds( value, name, max ) {
+    if ( typeof value !== 'number' || value < 0 || value > max ) throw new Error( `${ name } must be a number of seconds between 0 and ${ max }` );
+    return value;
+}
+
+/**
+ * Resolve the request's audio options. Throws when an option is invalid.
+ *
+ * @param {Object} audio - The request's audio option: { normalize, trim_silence, gap, fade_in, fade_out, ambient }.
+ * @returns {Object|null} - { loudness, silenceThreshold, gap, fadeIn, fadeOut, ambient }, or null when no option is set.
+ *   loudness and silenceThreshold are null when off; ambient is { source, volume, duck } or null.
+ */
+export function resolveAudioOptions( audio ) {
+    if ( audio === undefined || audio === null ) return null;
+    if ( typeof audio !== 'object' || Array.isArray( audio ) ) throw new Error( 'audio must be an object' );
+
+    let loudness = null;
+    if ( audio.normalize === true ) loudness = DEFAULT_LOUDNESS;
+    else if ( typeof audio.normalize === 'number' ) loudness = audio.normalize;
+    else if ( audio.normalize !== undefined && audio.normalize !== false ) throw new Error( 'audio.normalize must be true or a target loudness in LUFS' );
+    if ( loudness !== null && ( loudness < -70 || loudness > -5 ) ) throw new Error( 'audio.normalize must be a loudness between -70 and -5 LUFS' );
+
+    let silenceThreshold = null;
+    if ( audio.trim_silence === true ) silenceThreshold = DEFAULT_SILENCE_THRESHOLD;
+    else if ( typeof audio.trim_silence === 'number' ) silenceThreshold = audio.trim_silence;
+    else if ( audio.trim_silence !== undefined && audio.trim_silence !== false ) throw new Error( 'audio.trim_silence must be true or a threshold in dB' );
+    if ( silenceThreshold !== null && ( silenceThreshold < -90 || silenceThreshold > -10 ) ) throw new Error( 'audio.trim_silence must be a threshold between -90 and -10 dB' );
+
+    let ambient = null;
+    if ( audio.ambient !== undefined ) {
+        const options = typeof audio.ambient === 'string' ? { url: audio.ambient } : audio.ambient;
+        if ( !options || typeof options !== 'object' ) throw new Error( 'audio.ambient must be a URL or an object with a url, upload_id or path' );
+        const { volume = DEFAULT_AMBIENT_VOLUME, duck = true, ...source } = options;
+        if ( typeof volume !== 'number' || volume <= 0 || volume > 1 ) throw new Error( 'audio.ambient.volume must be a number between 0 and 1' );
+        ambient = { source, volume, duck: duck !== false };
+    }
+
+    return {
+        loudness,
+        silenceThreshold,
+        gap: resolveSeconds( audio.gap ?? 0, 'audio.gap', MAX_GAP ),
+        fadeIn: resolveSeconds( audio.fade_in ?? 0, 'audio.fade_in', MAX_FADE ),
+        fadeOut: resolveSeconds( audio.fade_out ?? 0, 'audio.fade_out', MAX_FADE ),
+        ambient
+    };
+}
+
+/**
+ * The silencedetect filter used to find silence at the ends of a file.
+ */
+export function getSilenceDetectFilter( threshold ) {
+    return `silencedetect=noise=${ threshold }dB:d=${ MIN_SILENCE_DURATION }`;
+}
+
+/**
+ * Parse ffmpeg's silencedetect log lines into the { start, end } of each silence.
+ * A silence still running at the end of the file ends at its duration.
+ */
+export function parseSilences( lines, duration ) {
+    const silences = [];
+    for ( const line of lines ) {
+        const start = /silence_start: (-?[\d.]+)/.exec( line );
+        const end = /silence_end: (-?[\d.]+)/.exec( line );
+        if ( start ) silences.push( { start: Math.max( 0, Number( start[1] ) ), end: duration } );
+        if ( end && silences.length > 0 ) silences[silences.length - 1].end = Number( end[1] );
+    }
+    return silences;
+}
+
+/**
+ * The part of a file to keep once the silence at its start and end is trimmed.
+ * Files that are silent throughout are kept whole.
+ *
+ * @param {Array<Object>} silences - The { start, end } of each silence (see parseSilences).
+ * @param {number} duration - Length of the file, in seconds.
+ * @returns {Object} - The { start, end } to keep, in seconds.
+ */
+export function getSilenceTrim( silences, duration ) {
+    const epsilon = 0.01;
+    const leading = silences.find( ( silence ) => silence.start <= epsilon );
+    const trailing = silences.find( ( silence ) => silence.end >= duration - epsilon && silence !== leading );
+    const start = leading ? leading.end : 0;
+    const end = trailing ? trailing.start : duration;
+
+    return end > start ? { start, end } : { start: 0, end: duration };
+}
+
+/**
+ * The filter applied to each recitation file as it is joined: its trim, then loudness normalization.
+ * Returns an empty string when there is nothing to apply.
+ */
+export function getFileFilter( { start, end } = {}, loudness = null ) {
+    const filters = [];
+    if ( start !== undefined ) filters.push( `atrim=start=${ start }:end=${ end }`, 'asetpts=PTS-STARTPTS' );
+    if ( loudness !== null ) filters.push( `loudnorm=I=${ loudness }:TP=${ TRUE_PEAK }:LRA=${ LOUDNESS_RANGE }` );
+    return filters.join( ',' );
+}
+
+/**
+ * Build the filters that turn the joined recitation into the video's soundtrack: fades at the start and
+ * end of the recitation, the delay for the intro card, and the ambient track looped under the whole video,
+ * ducked while the reciter is heard.
+ *
+ * @param {Object} options
+ * @param {string} options.input - Label of the recitation input, such as '1:a'.
+ * @param {string} options.ambientInput - Label of the ambient input, when there is one.
+ * @param {Object} options.audio - The resolved audio options, or null.
+ * @param {number} options.offset - When the recitation starts, in seconds.
+ * @param {number} options.recitationEnd - When the recitation ends, in seconds.
+ * @param {number} options.totalDuration - Length of the video, in seconds.
+ * @returns {Object} - The filter graph parts and the label of the soundtrack (or the input, when unchanged).
+ */
+export function buildAudioMix( { input, ambientInput, audio, offset, recitationEnd, totalDuration } ) {
+    const filters = [];
+    const length = recitationEnd - offset;
+    if ( audio?.fadeIn > 0 ) filters.push( `afade=t=in:st=0:d=${ Math.min( audio.fadeIn, length ) }` );
+    if ( audio?.fadeOut > 0 ) {
+        const fadeOut = Math.min( audio.fadeOut, length );
+        filters.push( `afade=t=out:st=${ length - fadeOut }:d=${ fadeOut }` );
+    }
+    if ( offset > 0 ) filters.push( `adelay=delays=${ Math.round( offset * 1000 ) }:all=1` );
+
+    const parts = [];
+    const ambient = ambientInput && audio?.ambient;
+    if ( !ambient ) {
+        if ( filters.length === 0 ) return { parts, label: input };
+        parts.push( `[${ input }]${ filters.join( ',' ) }[audio]` );
+        return { parts, label: 'audio' };
+    }
+
+    // The recitation is padded with silence to the end of the video, so the mix keeps a constant level
+    parts.push( `[${ input }]${ [...filters, 'apad'].join( ',' ) }[voice]` );
+    const ambientFilters = [`atrim=duration=${ totalDuration }`, `volume=${ ambient.volume }`];
+    if ( audio.fadeIn > 0 ) ambientFilters.push( `afade=t=in:st=0:d=${ audio.fadeIn }` );
+    if ( audio.fadeOut > 0 ) ambientFilters.push( `afade=t=out:st=${ Math.max( 0, totalDuration - audio.fadeOut ) }:d=${ Math.min( audio.fadeOut, totalDuration ) }` );
+    parts.push( `[${ ambientInput }]${ ambientFilters.join( ',' ) }[ambient]` );
+
+    let voice = 'voice';
+    let background = 'ambient';
+    if ( ambient.duck ) {
+        parts.push( '[voice]asplit=2[voice_mix][voice_key]' );
+        parts.push( `[ambient][voice_key]sidechaincompress=${ DUCKING }[ducked]` );
+        voice = 'voice_mix';
+        background = 'ducked';
+    }
+
+    // amix halves each of its two inputs, so the mix is doubled back to full level
+    parts.push( `[${ background }][${ voice }]amix=inputs=2:duration=first:dropout_transition=0,volume=2[audio]` );
+    return { parts, label: 'audio' };
+}
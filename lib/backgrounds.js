@@ -0,0 +1,145 @@
+/**
+ * Background options: looping videos, still images (optionally with a Ken Burns pan/zoom),
+ * and solid or gradient colors generated by ffmpeg.
+ */
+
+export const BACKGROUND_TYPES = ['video', 'image', 'color', 'gradient'];
+
+export const GRADIENT_DIRECTIONS = ['vertical', 'horizontal', 'diagonal'];
+
+// Frame rate of generated backgrounds (images and colors)
+const FRAME_RATE = 30;
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Check that a color is a hex color or a plain color name, which is all that is safe to put in a filter graph.
+ */
+export function isSafeColor( color ) {
+    return typeof color === 'string' && ( HEX_COLOR.test( color ) || /^[a-z]+$/i.test( color ) );
+}
+
+/**
+ * Convert a #RGB or #RRGGBB color to [r, g, b].
+ */
+function hexToRgb( color ) {
+    let hex = color.slice( 1 );
+    if ( hex.length === 3 ) hex = hex.split( '' ).map( c => c + c ).join( '' );
+    return [0, 2, 4].map( i => parseInt( hex.slice( i, i + 2 ), 16 ) );
+}
+
+/**
+ * Validate a request's background and fill in defaults. Throws on invalid options.
+ *
+ * @param {Object} background - The request's background.
+ * @returns {Object} - The background with its type, sources and options.
+ */
+export function normalizeBackground( background ) {
+    if ( !background || typeof background !== 'object' ) throw new Error( 'background must be an object' );
+
+    const type = background.type || 'video';
+    if ( !BACKGROUND_TYPES.includes( type ) ) throw new Error( `background.type must be one of ${ BACKGROUND_TYPES.join( ', ' ) }` );
+
+    // Links may be plain URLs or { url }, { upload_id } or { path } objects
+    const sources = ( background.links || [] ).map( link => typeof link === 'string' ? { url: link } : link );
+    if ( background.source ) sources.unshift( background.source );
+
+    switch ( type ) {
+        case 'video':
+            if ( sources.length === 0 ) throw new Error( 'No valid background video provided' );
+            return { type, sources };
+
+        case 'image': {
+            if ( sources.length !== 1 ) throw new Error( 'An image background needs exactly one source' );
+
+            let kenBurns = null;
+            if ( background.ken_burns ) {
+                const options = background.ken_burns === true ? {} : background.ken_burns;
+                kenBurns = { zoom: options.zoom ?? 1.15, direction: options.direction ?? 'in' };
+                if ( typeof kenBurns.zoom !== 'number' || kenBurns.zoom <= 1 || kenBurns.zoom > 3 ) {
+                    throw new Error( 'background.ken_burns.zoom must be a number above 1 and at most 3' );
+                }
+                if ( !['in', 'out'].includes( kenBurns.direction ) ) throw new Error( 'background.ken_burns.direction must be in or out' );
+            }
+            return { type, sources, kenBurns };
+        }
+
+        case 'color':
+            if ( !isSafeColor( background.color ) ) throw new Error( 'background.color must be a hex color or a color name' );
+            return { type, color: background.color };
+
+        case 'gradient': {
+            const { colors, direction = 'vertical' } = background;
+            if ( !Array.isArray( colors ) || colors.length !== 2 || !colors.every( c => HEX_COLOR.test( c ) ) ) {
+                throw new Error( 'background.colors must be two hex colors' );
+            }
+            if ( !GRADIENT_DIRECTIONS.includes( direction ) ) {
+                throw new Error( `background.direction must be one of ${ GRADIENT_DIRECTIONS.join( ', ' ) }` );
+            }
+            return { type, colors, direction };
+        }
+    }
+}
+
+/**
+ * Build the ffmpeg input and filter chain for a background.
+ * The chain turns input 0 into a frame-filling stream of the output size.
+ *
+ * @param {Object} background - A normalized background.
+ * @param {string} mediaPath - The downloaded video or image (unused for colors).
+ * @param {Object} options - { width, height, duration } of the output. start begins the background that many
+ *   seconds in, for previews of a single frame; videos then need their mediaDuration to find the frame.
+ * @returns {Object} - { source, inputOptions, filter } for the ffmpeg command.
+ */
+export function buildBackgroundInput( background, mediaPath, { width, height, duration, start = 0, mediaDuration } ) {
+    const cover = ( w, h ) => `scale=${ w }:${ h }:force_original_aspect_ratio=increase,crop=${ w }:${ h }`;
+
+    switch ( background.type ) {
+        case 'video': {
+            // The video loops, so seek within its first pass
+            const seek = start > 0 ? ['-ss', String( mediaDuration ? start % mediaDuration : start )] : [];
+            return { source: mediaPath, inputOptions: ['-stream_loop', '-1', ...seek], filter: `${ cover( width, height ) },setsar=1` };
+        }
+
+        case 'image': {
+            if ( !background.kenBurns ) {
+                return { source: mediaPath, inputOptions: ['-loop', '1', '-framerate', String( FRAME_RATE )], filter: `${ cover( width, height ) },setsar=1` };
+            }
+
+            // Zoom from the center over the whole video. The image is upscaled first so the zoom doesn't jitter
+            const frames = Math.ceil( duration * FRAME_RATE ) + 1;
+            const { zoom, direction } = background.kenBurns;
+            const zoomRange = Math.round( ( zoom - 1 ) * 1000 ) / 1000;
+            const frame = start > 0 ? `(on+${ Math.round( start * FRAME_RATE ) })` : 'on';
+            const zoomExpression = direction === 'in'
+                ? `1+${ zoomRange }*${ frame }/${ frames }`
+                : `${ zoom }-${ zoomRange }*${ frame }/${ frames }`;
+
+            return {
+                source: mediaPath,
+                inputOptions: [],
+                filter: `${ cover( width * 2, height * 2 ) },zoompan=z='${ zoomExpression }':x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)':d=${ frames }:s=${ width }x${ height }:fps=${ FRAME_RATE },setsar=1`
+            };
+        }
+
+        case 'color':
+            return {
+                source: `color=c=${ background.color }:s=${ width }x${ height }:r=${ FRAME_RATE }`,
+                inputOptions: ['-f', 'lavfi'],
+                filter: 'setsar=1'
+            };
+
+        case 'gradient': {
+            // Compute a single gradient frame with geq, then repeat it for the whole video
+            const [from, to] = background.colors.map( hexToRgb );
+            const position = { vertical: 'Y/H', horizontal: 'X/W', diagonal: '(X/W+Y/H)/2' }[background.direction];
+            const channel = ( i ) => `${ from[i] }+(${ to[i] - from[i] })*${ position }`;
+
+            return {
+                source: `color=c=black:s=${ width }x${ height }:r=1:d=1`,
+                inputOptions: ['-f', 'lavfi'],
+                filter: `format=rgb24,geq=r='${ channel( 0 ) }':g='${ channel( 1 ) }':b='${ channel( 2 ) }',loop=loop=-1:size=1,setpts=N/${ FRAME_RATE }/TB,setsar=1`
+            };
+        }
+    }
+}
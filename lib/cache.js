@@ -0,0 +1,204 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * On-disk caches: downloaded media (recitation audio, backgrounds) kept by URL and revalidated with
+ * ETag / Last-Modified, and an index of finished renders by request fingerprint, so a repeated
+ * request for the same media can return the video that was already made.
+ */
+
+// Changes when the rendering does, so renders made by an older version aren't handed out again
+const FINGERPRINT_VERSION = 1;
+
+function sha256( value ) {
+    return crypto.createHash( 'sha256' ).update( value ).digest( 'hex' );
+}
+
+/**
+ * JSON with the keys of every object sorted, so equal values always serialize the same way.
+ */
+function stableStringify( value ) {
+    if ( Array.isArray( value ) ) return `[${ value.map( ( item ) => stableStringify( item ?? null ) ).join( ',' ) }]`;
+    if ( value && typeof value === 'object' ) {
+        const entries = Object.keys( value ).sort().filter( ( key ) => value[key] !== undefined );
+        return `{${ entries.map( ( key ) => `${ JSON.stringify( key ) }:${ stableStringify( value[key] ) }` ).join( ',' ) }}`;
+    }
+    return JSON.stringify( value );
+}
+
+/**
+ * Fingerprint a render request: a hash of its media, text and resolved options.
+ *
+ * @param {Object} request - Everything that decides what the video looks and sounds like.
+ * @returns {string} - The hex fingerprint.
+ */
+export function fingerprintRequest( request ) {
+    return sha256( `${ FINGERPRINT_VERSION }:${ stableStringify( request ) }` );
+}
+
+/**
+ * Hash the contents of files, so a request can be fingerprinted by the media it was made from
+ * rather than where that media came from.
+ *
+ * @param {Array<string>} filePaths - The files.
+ * @returns {Promise<Array<string>>} - The hex SHA-256 of each file, in the same order.
+ */
+export function hashFiles( filePaths ) {
+    return Promise.all( filePaths.map( ( filePath ) => new Promise( ( resolve, reject ) => {
+        const hash = crypto.createHash( 'sha256' );
+        fs.createReadStream( filePath )
+            .on( 'data', ( chunk ) => hash.update( chunk ) )
+            .on( 'end', () => resolve( hash.digest( 'hex' ) ) )
+            .on( 'error', reject );
+    } ) ) );
+}
+
+/**
+ * Create a size-bounded cache of downloaded files. Only responses with an ETag or Last-Modified
+ * header are kept, since the cached copy is revalidated with a conditional request every time it
+ * is used. The least recently used files are removed once the cache is larger than maxBytes.
+ *
+ * @param {Object} options
+ * @param {string} options.directory - Directory the files are kept in.
+ * @param {number} options.maxBytes - Largest total size of the cached files.
+ * @returns {Object} - The cache with a fetch( url, destinationPath ) method.
+ */
+export function createDownloadCache( { directory, maxBytes } ) {
+    const root = path.resolve( directory );
+
+    function getPaths( url ) {
+        const key = sha256( url );
+        return { data: path.join( root, key ), meta: path.join( root, `${ key }.json` ) };
+    }
+
+    function readEntry( url, paths ) {
+        try {
+            const entry = JSON.parse( fs.readFileSync( paths.meta, 'utf8' ) );
+            return entry.url === url && fs.existsSync( paths.data ) ? entry : null;
+        } catch {
+            return null;
+        }
+    }
+
+    // The metadata file's modification time records when the entry was last used
+    function useEntry( paths, destinationPath ) {
+        fs.copyFileSync( paths.data, destinationPath );
+        const now = new Date();
+        fs.utimesSync( paths.meta, now, now );
+    }
+
+    function store( url, paths, buffer, { etag, lastModified } ) {
+        fs.mkdirSync( root, { recursive: true } );
+
+        // Written under a temporary name first, so a concurrent download never reads a partial file
+        const temporaryPath = `${ paths.data }.${ crypto.randomBytes( 4 ).toString( 'hex' ) }.tmp`;
+        fs.writeFileSync( temporaryPath, buffer );
+        fs.renameSync( temporaryPath, paths.data );
+        fs.writeFileSync( paths.meta, JSON.stringify( { url, etag, lastModified, size: buffer.length, storedAt: new Date().toISOString() } ) );
+        evict();
+    }
+
+    /**
+     * Remove the least recently used files until the cache fits in maxBytes.
+     */
+    function evict() {
+        const entries = [];
+        for ( const name of fs.readdirSync( root ).filter( ( file ) => file.endsWith( '.json' ) ) ) {
+            const meta = path.join( root, name );
+            try {
+                const { size } = JSON.parse( fs.readFileSync( meta, 'utf8' ) );
+                entries.push( { meta, data: meta.slice( 0, -'.json'.length ), size, usedAt: fs.statSync( meta ).mtimeMs } );
+            } catch {
+                // Removed by another download in the meantime
+            }
+        }
+
+        let total = entries.reduce( ( sum, entry ) => sum + entry.size, 0 );
+        for ( const entry of entries.sort( ( a, b ) => a.usedAt - b.usedAt ) ) {
+            if ( total <= maxBytes ) break;
+            fs.rmSync( entry.data, { force: true } );
+            fs.rmSync( entry.meta, { force: true } );
+            total -= entry.size;
+        }
+    }
+
+    /**
+     * Download a URL to a local path, from the cache when the server confirms the cached copy is current.
+     * When the server can't be reached, a cached copy is used as is.
+     *
+     * @param {string} url - The URL.
+     * @param {string} destinationPath - Where to write the file.
+     */
+    async function fetchToFile( url, destinationPath ) {
+        const paths = getPaths( url );
+        const cached = readEntry( url, paths );
+        const headers = {};
+        if ( cached?.etag ) headers['If-None-Match'] = cached.etag;
+        if ( cached?.lastModified ) headers['If-Modified-Since'] = cached.lastModified;
+
+        let response;
+        try {
+            response = await fetch( url, { headers } );
+        } catch ( err ) {
+            if ( !cached ) throw err;
+            console.warn( `Using the cached copy of ${ url }, which couldn't be revalidated:`, err.message );
+            useEntry( paths, destinationPath );
+            return;
+        }
+
+        if ( cached && response.status === 304 ) {
+            useEntry( paths, destinationPath );
+            return;
+        }
+        if ( !response.ok ) throw new Error( `Failed to fetch ${ url }: ${ response.status }` );
+
+        const buffer = Buffer.from( await response.arrayBuffer() );
+        fs.writeFileSync( destinationPath, buffer );
+
+        const validators = { etag: response.headers.get( 'etag' ), lastModified: response.headers.get( 'last-modified' ) };
+        if ( ( validators.etag || validators.lastModified ) && buffer.length <= maxBytes ) {
+            try {
+                store( url, paths, buffer, validators );
+            } catch ( err ) {
+                console.error( `Failed to cache ${ url }:`, err );
+            }
+        }
+    }
+
+    return { fetch: fetchToFile };
+}
+
+/**
+ * Create the index of finished renders, one JSON file per request fingerprint.
+ *
+ * @param {Object} options
+ * @param {string} options.directory - Directory the index is kept in.
+ * @returns {Object} - The index with get() and set() methods.
+ */
+export function createRenderIndex( { directory } ) {
+    const root = path.resolve( directory );
+    const recordPath = ( fingerprint ) => path.join( root, `${ fingerprint }.json` );
+
+    /**
+     * The { fingerprint, videoId, createdAt, result } of an earlier render, or null when there is none.
+     */
+    function get( fingerprint ) {
+        try {
+            return JSON.parse( fs.readFileSync( recordPath( fingerprint ), 'utf8' ) );
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Record a finished render's result under its fingerprint.
+     */
+    function set( fingerprint, result ) {
+        fs.mkdirSync( root, { recursive: true } );
+        const record = { fingerprint, videoId: result.videoId, createdAt: new Date().toISOString(), result };
+        fs.writeFileSync( recordPath( fingerprint ), JSON.stringify( record ) );
+    }
+
+    return { get, set };
+}
@@ -0,0 +1,102 @@
+import { getChapter, RECITERS } from './quran.js';
+
+/**
+ * Intro and outro title cards, shown before the first ayah and after the last.
+ * This module decides what a card says; main.js renders it with the same fonts as the ayat.
+ */
+
+const DEFAULT_CARD_DURATION = 3;
+
+// Limits for card durations (seconds) and the outro text
+const MIN_CARD_DURATION = 1;
+const MAX_CARD_DURATION = 10;
+const MAX_OUTRO_LENGTH = 300;
+
+// Matches text that should be drawn with the Arabic font
+const ARABIC_TEXT = /[\u0600-\u06FF]/;
+
+function resolveDuration( duration = DEFAULT_CARD_DURATION, name ) {
+    if ( typeof duration !== 'number' || duration < MIN_CARD_DURATION || duration > MAX_CARD_DURATION ) {
+        throw new Error( `${ name }.duration must be a number of seconds between ${ MIN_CARD_DURATION } and ${ MAX_CARD_DURATION }` );
+    }
+    return duration;
+}
+
+/**
+ * Resolve the request's intro and outro options. Throws when an option is invalid.
+ *
+ * @param {Object} options - The request's intro (true, or { duration, reciter }) and outro ({ text, duration }).
+ * @param {string} reciter - The reciter the audio was looked up for, if any, named on the intro card
+ *   unless intro.reciter is given.
+ * @returns {Object} - The { intro, outro } cards, each null when it isn't shown.
+ */
+export function resolveCards( { intro, outro } = {}, reciter = null ) {
+    const cards = { intro: null, outro: null };
+
+    if ( intro ) {
+        const options = intro === true ? {} : intro;
+        if ( typeof options !== 'object' || Array.isArray( options ) ) throw new Error( 'intro must be true or an object' );
+        if ( options.reciter !== undefined && typeof options.reciter !== 'string' ) throw new Error( 'intro.reciter must be a string' );
+
+        cards.intro = {
+            duration: resolveDuration( options.duration, 'intro' ),
+            reciter: options.reciter ?? RECITERS[reciter]?.name ?? null
+        };
+    }
+
+    if ( outro ) {
+        const options = typeof outro === 'string' ? { text: outro } : outro;
+        if ( typeof options !== 'object' || typeof options.text !== 'string' || options.text.trim() === '' ) {
+            throw new Error( 'outro must be a string or an object with a text' );
+        }
+        if ( options.text.length > MAX_OUTRO_LENGTH ) throw new Error( `outro.text must be at most ${ MAX_OUTRO_LENGTH } characters` );
+
+        cards.outro = { duration: resolveDuration( options.duration, 'outro' ), text: options.text };
+    }
+
+    return cards;
+}
+
+/**
+ * Lines of the intro card: the surah name in Arabic and transliterated, the verse range and the reciter.
+ * Each line names the font to draw it with ('arabic' or 'translation') and a size relative to that font.
+ *
+ * @param {Array} ayat - The ayat in the video, with their verse keys.
+ * @param {Object} intro - The resolved intro card.
+ * @returns {Array<Object>} - The { text, font, scale } of each line.
+ */
+export function getIntroLines( ayat, intro ) {
+    const keys = ayat.map( ( ayah ) => /^(\d+):(\d+)$/.exec( ayah.verse_key || '' ) );
+    if ( keys.length === 0 || keys.some( ( key ) => !key ) ) throw new Error( 'The intro card needs a verse_key such as "2:255" on every ayah' );
+
+    const [first, last] = [keys[0], keys[keys.length - 1]].map( ( [, chapter, verse] ) => ( { chapter: Number( chapter ), verse: Number( verse ) } ) );
+    const chapters = [...new Set( keys.map( ( [, chapter] ) => Number( chapter ) ) )].map( getChapter );
+    if ( chapters.some( ( chapter ) => !chapter ) ) throw new Error( 'The intro card needs verse keys of existing surahs' );
+
+    let range;
+    if ( first.chapter !== last.chapter ) range = `${ first.chapter }:${ first.verse } - ${ last.chapter }:${ last.verse }`;
+    else if ( first.verse === last.verse ) range = `Verse ${ first.verse }`;
+    else range = `Verses ${ first.verse }-${ last.verse }`;
+
+    const lines = [
+        { text: chapters.map( ( chapter ) => `سورة ${ chapter.name }` ).join( ' - ' ), font: 'arabic', scale: 1.2 },
+        { text: chapters.map( ( chapter ) => chapter.transliteration ).join( ' - ' ), font: 'translation', scale: 1.5 },
+        { text: range, font: 'translation', scale: 1 }
+    ];
+    if ( intro.reciter ) lines.push( { text: intro.reciter, font: 'translation', scale: 0.85 } );
+
+    return lines;
+}
+
+/**
+ * Lines of the outro card: its text, one line per line break, in the Arabic font where the line is Arabic.
+ *
+ * @param {Object} outro - The resolved outro card.
+ * @returns {Array<Object>} - The { text, font, scale } of each line.
+ */
+export function getOutroLines( outro ) {
+    return outro.text
+        .split( '\n' )
+        .filter( ( line ) => line.trim() !== '' )
+        .map( ( line ) => ( { text: line.trim(), font: ARABIC_TEXT.test( line ) ? 'arabic' : 'translation', scale: 1 } ) );
+}
@@ -0,0 +1,155 @@
+import { Worker } from 'worker_threads';
+
+/**
+ * Running the preparation stages in parallel: bounded concurrency for downloads and ffprobe/ffmpeg
+ * calls, and a pool of worker threads for CPU-bound work such as drawing the text images, so it
+ * doesn't hold up the event loop that serves HTTP.
+ */
+
+/**
+ * Map items through an async function, running at most `limit` calls at once.
+ * After a call fails no new ones are started, and the error is thrown once the running ones
+ * have settled, so nothing is still writing to the job's files when it is cleaned up.
+ *
+ * @param {Array} items - The items.
+ * @param {number} limit - Most calls running at once.
+ * @param {Function} fn - Async function called as fn( item, index ).
+ * @returns {Promise<Array>} - The results, in the order of the items.
+ */
+export async function mapWithConcurrency( items, limit, fn ) {
+    const results = new Array( items.length );
+    let next = 0;
+    let failure = null;
+
+    async function run() {
+        while ( !failure && next < items.length ) {
+            const index = next++;
+            try {
+                results[index] = await fn( items[index], index );
+            } catch ( err ) {
+                failure = failure || { err };
+            }
+        }
+    }
+
+    await Promise.all( Array.from( { length: Math.max( 1, Math.min( limit, items.length ) ) }, run ) );
+    if ( failure ) throw failure.err;
+    return results;
+}
+
+/**
+ * Create a limiter that runs at most `limit` async functions at once; the others wait their turn,
+ * in the order they came in.
+ *
+ * @param {number} limit - Most functions running at once.
+ * @returns {Function} - Called as run( fn ); resolves or rejects with what fn() does.
+ */
+export function createLimiter( limit ) {
+    const waiting = [];
+    let active = 0;
+
+    function next() {
+        if ( active >= limit || waiting.length === 0 ) return;
+        const { fn, resolve, reject } = waiting.shift();
+        active++;
+        Promise.resolve()
+            .then( fn )
+            .then( resolve, reject )
+            .finally( () => {
+                active--;
+                next();
+            } );
+    }
+
+    return function run( fn ) {
+        return new Promise( ( resolve, reject ) => {
+            waiting.push( { fn, resolve, reject } );
+            next();
+        } );
+    };
+}
+
+/**
+ * Create a pool of worker threads running the given module. Workers are started as tasks come in,
+ * up to `size`, and don't keep the process alive while they are idle. A worker that crashes fails
+ * its task and is replaced.
+ *
+ * The module receives { task, args } messages and answers each with { result } or { error }
+ * (see lib/text-worker.js).
+ *
+ * @param {Object} options
+ * @param {string|URL} options.file - The worker module.
+ * @param {number} options.size - Most workers running at once.
+ * @returns {Object} - The pool with run( task, args ) and close() methods.
+ */
+export function createWorkerPool( { file, size } ) {
+    const workers = new Set();
+    const idle = [];
+    const queue = [];
+
+    function startWorker() {
+        const worker = new Worker( file );
+        worker.current = null;
+        workers.add( worker );
+
+        worker.on( 'message', ( { result, error } ) => {
+            const { resolve, reject } = worker.current;
+            worker.current = null;
+            if ( error ) reject( new Error( error ) );
+            else resolve( result );
+            release( worker );
+        } );
+        worker.on( 'error', ( err ) => {
+            worker.current?.reject( err );
+            worker.current = null;
+        } );
+        worker.on( 'exit', ( code ) => {
+            workers.delete( worker );
+            if ( idle.includes( worker ) ) idle.splice( idle.indexOf( worker ), 1 );
+            worker.current?.reject( new Error( `Worker stopped with exit code ${ code }` ) );
+            dispatch();
+        } );
+
+        return worker;
+    }
+
+    function release( worker ) {
+        idle.push( worker );
+        worker.unref();
+        dispatch();
+    }
+
+    function dispatch() {
+        while ( queue.length > 0 && ( idle.length > 0 || workers.size < size ) ) {
+            const worker = idle.pop() || startWorker();
+            const { task, args, resolve, reject } = queue.shift();
+            worker.current = { resolve, reject };
+            worker.ref();
+            worker.postMessage( { task, args } );
+        }
+    }
+
+    /**
+     * Run a task in the next free worker.
+     *
+     * @param {string} task - The task's name, as the worker module knows it.
+     * @param {Array} args - Its arguments; they are copied to the worker, so they must be plain data.
+     * @returns {Promise<*>} - What the task returned.
+     */
+    function run( task, args ) {
+        return new Promise( ( resolve, reject ) => {
+            queue.push( { task, args, resolve, reject } );
+            dispatch();
+        } );
+    }
+
+    /**
+     * Stop every worker. Queued tasks are dropped and running ones fail.
+     */
+    async function close() {
+        queue.length = 0;
+        await Promise.all( [...workers].map( ( worker ) => worker.terminate() ) );
+    }
+
+    return { run, close };
+}
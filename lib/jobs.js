@@ -0,0 +1,125 @@
+import { EventEmitter } from 'events';
+
+/**
+ * In-process job queue for video generation requests.
+ * Jobs run in submission order, with at most `concurrency` of them running at once.
+ */
+
+// Lifecycle of a job, in the order a successful job goes through them
+export const JOB_STATUSES = ['queued', 'downloading', 'rendering', 'encoding', 'uploading', 'done', 'failed'];
+
+/**
+ * Create a job queue backed by the given worker.
+ *
+ * @param {Function} worker - Async function called as worker( payload, context ) for each job.
+ *   context.jobId is the job ID and context.reportProgress( { stage, percent } ) reports the
+ *   current stage and, where known, how far along it is.
+ * @param {Object} options - Queue options.
+ * @param {number} options.concurrency - Maximum number of jobs running at once (default: 1).
+ * @param {number} options.retentionSeconds - How long finished jobs stay queryable (default: 3600).
+ * @returns {Object} - The queue with enqueue(), getJob(), getOwner() and subscribe() methods.
+ */
+export function createJobQueue( worker, { concurrency = 1, retentionSeconds = 3600 } = {} ) {
+    const jobs = new Map();
+    const pending = [];
+    let active = 0;
+
+    // Emits the public view of a job under its ID whenever the job changes
+    const events = new EventEmitter();
+    events.setMaxListeners( 0 );
+
+    function updateJob( job, fields ) {
+        Object.assign( job, fields, { updatedAt: new Date().toISOString() } );
+        events.emit( job.id, getJob( job.id ) );
+    }
+
+    async function runJob( job ) {
+        active++;
+        try {
+            const result = await worker( job.payload, {
+                jobId: job.id,
+                reportProgress: ( { stage, percent } ) => updateJob( job, { status: stage, percent } )
+            } );
+            updateJob( job, { status: 'done', percent: 100, result } );
+        } catch ( err ) {
+            console.error( `Job ${ job.id } failed:`, err );
+            updateJob( job, { status: 'failed', percent: undefined, error: err instanceof Error ? err.message : String( err ) } );
+        } finally {
+            active--;
+            // The request body is no longer needed once the job has finished
+            delete job.payload;
+
+            // Forget finished jobs after the retention period
+            setTimeout( () => jobs.delete( job.id ), retentionSeconds * 1000 ).unref();
+
+            drain();
+        }
+    }
+
+    function drain() {
+        while ( active < concurrency && pending.length > 0 ) {
+            runJob( pending.shift() );
+        }
+    }
+
+    /**
+     * Add a job to the queue.
+     *
+     * @param {string} id - Unique job ID.
+     * @param {Object} payload - Data handed to the worker.
+     * @param {string} owner - Who submitted the job (e.g. an API key ID), for getOwner().
+     * @returns {Object} - The public view of the queued job.
+     */
+    function enqueue( id, payload, owner = null ) {
+        if ( jobs.has( id ) ) throw new Error( `Job ${ id } already exists` );
+
+        const now = new Date().toISOString();
+        const job = { id, payload, owner, status: 'queued', createdAt: now, updatedAt: now };
+        jobs.set( id, job );
+        pending.push( job );
+        drain();
+
+        return getJob( id );
+    }
+
+    /**
+     * Get the public view of a job, or null if it is unknown or expired.
+     */
+    function getJob( id ) {
+        const job = jobs.get( id );
+        if ( !job ) return null;
+
+        const view = {
+            jobId: job.id,
+            status: job.status,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt
+        };
+
+        if ( job.percent !== undefined ) view.percent = job.percent;
+        if ( job.status === 'queued' ) view.position = pending.indexOf( job ) + 1;
+        if ( job.status === 'done' ) Object.assign( view, job.result );
+        if ( job.status === 'failed' ) view.error = job.error;
+
+        return view;
+    }
+
+    /**
+     * Get who submitted a job, or null if no owner was given or the job is unknown or expired.
+     */
+    function getOwner( id ) {
+        return jobs.get( id )?.owner ?? null;
+    }
+
+    /**
+     * Listen for updates to a job. The listener receives the same view as getJob().
+     *
+     * @returns {Function} - Call to stop listening.
+     */
+    function subscribe( id, listener ) {
+        events.on( id, listener );
+        return () => events.off( id, listener );
+    }
+
+    return { enqueue, getJob, getOwner, subscribe };
+}
@@ -0,0 +1,114 @@
+import { DEFAULT_STYLE } from './styles.js';
+import { DEFAULT_TRACK_NAME } from './translations.js';
+
+/**
+ * Output formats and the layout derived from them.
+ * All sizes were designed for a 1080x1920 canvas and are scaled by the shorter side of the output.
+ */
+
+// Named output formats
+export const FORMAT_PRESETS = {
+    '9:16': { width: 1080, height: 1920 },
+    '1:1': { width: 1080, height: 1080 },
+    '16:9': { width: 1920, height: 1080 },
+    '4:5': { width: 1080, height: 1350 }
+};
+
+export const DEFAULT_FORMAT = '9:16';
+
+// Limits for custom resolutions
+const MIN_DIMENSION = 240;
+const MAX_DIMENSION = 3840;
+
+/**
+ * Resolve a format option (a preset name or { width, height }) to output dimensions.
+ * Throws when the format is unknown or the dimensions are out of range.
+ *
+ * @param {string|Object} format - Preset name such as '9:16', or an object with width and height.
+ * @returns {Object} - The output { width, height }.
+ */
+export function resolveFormat( format = DEFAULT_FORMAT ) {
+    if ( typeof format === 'string' ) {
+        const preset = FORMAT_PRESETS[format];
+        if ( !preset ) throw new Error( `Unknown format "${ format }" (expected one of ${ Object.keys( FORMAT_PRESETS ).join( ', ' ) }, or { width, height })` );
+        return { ...preset };
+    }
+
+    const { width, height } = format || {};
+    for ( const [name, value] of Object.entries( { width, height } ) ) {
+        if ( !Number.isInteger( value ) || value < MIN_DIMENSION || value > MAX_DIMENSION ) {
+            throw new Error( `format.${ name } must be an integer between ${ MIN_DIMENSION } and ${ MAX_DIMENSION }` );
+        }
+    }
+
+    // libx264 with yuv420p needs even dimensions
+    return { width: width - ( width % 2 ), height: height - ( height % 2 ) };
+}
+
+/**
+ * Compute text sizes and overlay positions for an output canvas.
+ *
+ * @param {Object} dimensions - The output { width, height }.
+ * @param {Object} style - The resolved text style (see lib/styles.js).
+ * @param {Array} translationTracks - The resolved translation tracks (see lib/translations.js), whose
+ *   style options override the style's translation options.
+ * @returns {Object} - The layout used by the text renderers and buildVideoWithOverlays.
+ */
+export function createLayout( { width, height }, style = DEFAULT_STYLE, translationTracks = [{ name: DEFAULT_TRACK_NAME, direction: 'ltr' }] ) {
+    const scale = Math.min( width, height ) / 1080;
+    const px = ( value ) => Math.round( value * scale );
+
+    return {
+        width,
+        height,
+        scale,
+        // Text images span most of the width, with a margin above and below the text
+        textWidth: Math.round( width * 950 / 1080 / 2 ) * 2,
+        textPadding: px( style.margin ),
+        arabicFontFamily: style.arabic.font_family,
+        arabicFontSize: px( style.arabic.font_size ),
+        arabicLineHeight: px( style.arabic.line_height ),
+        arabicColor: style.arabic.color,
+        translationFontFamily: style.translation.font_family,
+        translationFontSize: px( style.translation.font_size ),
+        translationLineHeight: px( style.translation.line_height ),
+        translationColor: style.translation.color,
+        // Translations stacked under the Arabic text, top to bottom
+        translationTracks: translationTracks.map( ( track ) => {
+            const trackStyle = { ...style.translation, ...track };
+            return {
+                name: track.name,
+                direction: track.direction,
+                fontFamily: trackStyle.font_family,
+                fontSize: px( trackStyle.font_size ),
+                lineHeight: px( trackStyle.line_height ),
+                color: trackStyle.color
+            };
+        } ),
+        highlightColor: style.highlight_color,
+        textShadow: style.shadow && {
+            color: style.shadow.color,
+            blur: px( style.shadow.blur ),
+            offsetX: px( style.shadow.offset_x ),
+            offsetY: px( style.shadow.offset_y )
+        },
+        textOutline: style.outline && { color: style.outline.color, width: px( style.outline.width ) },
+        textBox: style.box && { color: style.box.color, opacity: style.box.opacity, padding: px( style.box.padding ) },
+        textPosition: style.position,
+        // Space between the Arabic and translation images, and between the text and the frame edges
+        arabicGap: px( style.gap ),
+        translationGap: px( style.gap / 2 ),
+        bottomMargin: px( 50 ),
+        topMargin: px( 150 ),
+        // Height the Arabic and translation text may fill before an ayah is split into pages
+        textAreaHeight: Math.max( 0, height - px( 300 ) - px( 50 ) - px( 150 ) ),
+        // How far text moves with the slide_up transition
+        slideDistance: px( 60 ),
+        // Tajweed legend, across the top of the frame
+        legendFontSize: px( 22 ),
+        legendY: px( 40 ),
+        // Watermark at 70% of its original size, 300px from the bottom
+        watermarkScale: Math.round( 0.7 * scale * 1000 ) / 1000,
+        watermarkY: height - px( 300 )
+    };
+}
@@ -0,0 +1,335 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { mapWithConcurrency } from './concurrency.js';
+
+/**
+ * Lookup of Quran text, translations and recitation audio by verse range.
+ * Text and translations come from the bundled quran-json dataset; a remote resolver backed by the
+ * quran.com API can be selected with QURAN_RESOLVER=quran.com.
+ */
+
+const require = createRequire( import.meta.url );
+
+// Recitations hosted on verses.quran.com, with their quran.com recitation IDs
+export const RECITERS = {
+    'abdulbaset-mujawwad': { name: 'AbdulBaset AbdulSamad (Mujawwad)', path: 'AbdulBaset/Mujawwad/mp3', quranComId: 1 },
+    'abdulbaset-murattal': { name: 'AbdulBaset AbdulSamad (Murattal)', path: 'AbdulBaset/Murattal/mp3', quranComId: 2 },
+    'sudais': { name: 'Abdur-Rahman as-Sudais', path: 'Sudais/mp3', quranComId: 3 },
+    'shatri': { name: 'Abu Bakr al-Shatri', path: 'Shatri/mp3', quranComId: 4 },
+    'rifai': { name: 'Hani ar-Rifai', path: 'Rifai/mp3', quranComId: 5 },
+    'husary': { name: 'Mahmoud Khalil Al-Husary', path: 'Husary/mp3', quranComId: 6 },
+    'alafasy': { name: 'Mishari Rashid al-`Afasy', path: 'Alafasy/mp3', quranComId: 7 },
+    'minshawi-mujawwad': { name: 'Mohamed Siddiq al-Minshawi (Mujawwad)', path: 'Minshawi/Mujawwad/mp3', quranComId: 8 },
+    'minshawi-murattal': { name: 'Mohamed Siddiq al-Minshawi (Murattal)', path: 'Minshawi/Murattal/mp3', quranComId: 9 },
+    'shuraym': { name: 'Sa`ud ash-Shuraym', path: 'Shuraym/mp3', quranComId: 10 }
+};
+
+// Translations in the bundled dataset, by name, mapped to the dataset's language code
+export const TRANSLATIONS = {
+    sahih: 'en',
+    en: 'en',
+    bengali: 'bn',
+    bn: 'bn',
+    garcia: 'es',
+    es: 'es',
+    hamidullah: 'fr',
+    fr: 'fr',
+    indonesian: 'id',
+    id: 'id',
+    kuliev: 'ru',
+    ru: 'ru',
+    bernstrom: 'sv',
+    sv: 'sv',
+    diyanet: 'tr',
+    tr: 'tr',
+    maududi: 'ur',
+    ur: 'ur',
+    makin: 'zh',
+    zh: 'zh',
+    transliteration: 'transliteration'
+};
+
+// quran.com translation IDs for the names above that the remote resolver understands
+const QURAN_COM_TRANSLATIONS = {
+    sahih: 20,
+    en: 20
+};
+
+export const DEFAULT_RECITER = 'alafasy';
+export const DEFAULT_TRANSLATION = 'sahih';
+
+// Upper bound on the number of verses a single range may expand to
+const MAX_RANGE_VERSES = 300;
+
+// quran.com lookups: verses per page (the API's largest), pages fetched at once and how long each may take
+const QURAN_COM_PAGE_SIZE = 50;
+const QURAN_COM_CONCURRENCY = 4;
+const QURAN_COM_TIMEOUT_MS = 10000;
+
+const datasets = new Map();
+
+/**
+ * Load one of the dataset files (quran_<language>.json), caching it in memory.
+ */
+function loadDataset( language ) {
+    if ( datasets.has( language ) ) return datasets.get( language );
+
+    const dataDir = process.env.QURAN_DATA_DIR || path.join( path.dirname( require.resolve( 'quran-json/package.json' ) ), 'dist' );
+    const data = JSON.parse( fs.readFileSync( path.join( dataDir, `quran_${ language }.json` ), 'utf8' ) );
+    datasets.set( language, data );
+
+    return data;
+}
+
+/**
+ * Get the chapter (surah) metadata: name, transliteration, translation and verse count.
+ *
+ * @param {number} chapter - Chapter number (1-114).
+ * @returns {Object|null} - The chapter, or null if there is no such chapter.
+ */
+export function getChapter( chapter ) {
+    const data = loadDataset( 'en' ).find( c => c.id === chapter );
+    if ( !data ) return null;
+
+    return {
+        id: data.id,
+        name: data.name,
+        transliteration: data.transliteration,
+        translation: data.translation,
+        totalVerses: data.total_verses
+    };
+}
+
+/**
+ * Write a number with Arabic-Indic digits, e.g. 255 as ٢٥٥.
+ */
+export function toArabicIndicDigits( number ) {
+    return String( number ).replace( /[0-9]/g, ( digit ) => String.fromCharCode( 0x0660 + Number( digit ) ) );
+}
+
+/**
+ * Append the end-of-ayah ornament (U+06DD) with the ayah number taken from the verse key.
+ * Text that already ends in an ayah number, or a verse key that isn't chapter:verse, is left as is.
+ */
+export function addAyahNumber( text, verseKey ) {
+    const match = /^\d+:(\d+)$/.exec( verseKey || '' );
+    if ( !match || /[\u06DD\u0660-\u0669]\s*$/.test( text ) ) return text;
+
+    return `${ text.trimEnd() } \u06DD${ toArabicIndicDigits( Number( match[1] ) ) }`;
+}
+
+/**
+ * Expand a verse range such as "2:255-2:257", "2:255-257", "2:255", "112" (a whole chapter)
+ * or a comma-separated list of those into verse keys. Throws on malformed or out-of-range input.
+ *
+ * @param {string} range - The verse range.
+ * @returns {Array} - Verse keys such as '2:255', in order.
+ */
+export function parseVerseRange( range ) {
+    if ( typeof range !== 'string' || range.trim() === '' ) throw new Error( 'verses must be a non-empty string such as "2:255-2:257"' );
+
+    const toPosition = ( chapterNumber, verseNumber ) => {
+        const chapter = getChapter( chapterNumber );
+        if ( !chapter ) throw new Error( `Invalid chapter ${ chapterNumber } in verses "${ range }"` );
+        if ( !Number.isInteger( verseNumber ) || verseNumber < 1 || verseNumber > chapter.totalVerses ) {
+            throw new Error( `Chapter ${ chapterNumber } has no verse ${ verseNumber } (verses "${ range }")` );
+        }
+        return { chapter: chapterNumber, verse: verseNumber };
+    };
+
+    const keys = [];
+    for ( const part of range.split( ',' ).map( p => p.trim() ) ) {
+        const match = part.match( /^(\d+)(?::(\d+))?(?:-(\d+)(?::(\d+))?)?$/ );
+        if ( !match ) throw new Error( `Malformed verse range "${ part }"` );
+
+        const [, startChapter, startVerse, endFirst, endSecond] = match;
+        let start, end;
+        if ( startVerse === undefined ) {
+            // Whole chapter, or a range of whole chapters
+            if ( endSecond !== undefined ) throw new Error( `Malformed verse range "${ part }"` );
+            start = toPosition( Number( startChapter ), 1 );
+            const lastChapter = Number( endFirst ?? startChapter );
+            end = toPosition( lastChapter, getChapter( lastChapter )?.totalVerses ?? 0 );
+        } else {
+            start = toPosition( Number( startChapter ), Number( startVerse ) );
+            if ( endFirst === undefined ) end = start;
+            else if ( endSecond === undefined ) end = toPosition( start.chapter, Number( endFirst ) );
+            else end = toPosition( Number( endFirst ), Number( endSecond ) );
+        }
+
+        if ( end.chapter < start.chapter || ( end.chapter === start.chapter && end.verse < start.verse ) ) {
+            throw new Error( `Verse range "${ part }" ends before it starts` );
+        }
+
+        for ( let chapter = start.chapter; chapter <= end.chapter; chapter++ ) {
+            const firstVerse = chapter === start.chapter ? start.verse : 1;
+            const lastVerse = chapter === end.chapter ? end.verse : getChapter( chapter ).totalVerses;
+            for ( let verse = firstVerse; verse <= lastVerse; verse++ ) {
+                keys.push( `${ chapter }:${ verse }` );
+                if ( keys.length > MAX_RANGE_VERSES ) throw new Error( `verses may not cover more than ${ MAX_RANGE_VERSES } verses` );
+            }
+        }
+    }
+
+    return keys;
+}
+
+/**
+ * Get the relative audio path of a verse on verses.quran.com, e.g. Alafasy/mp3/002255.mp3.
+ */
+function getAudioPath( reciter, verseKey ) {
+    const [chapter, verse] = verseKey.split( ':' );
+    return `${ reciter.path }/${ chapter.padStart( 3, '0' ) }${ verse.padStart( 3, '0' ) }.mp3`;
+}
+
+/**
+ * The translation option as a list of names, which may be a single name.
+ */
+function getTranslationNames( translation ) {
+    const names = Array.isArray( translation ) ? translation : [translation];
+    if ( names.length === 0 ) throw new Error( 'translation must name at least one translation' );
+    return names;
+}
+
+function getReciter( name ) {
+    const reciter = RECITERS[name];
+    if ( !reciter ) throw new Error( `Unknown reciter "${ name }" (expected one of ${ Object.keys( RECITERS ).join( ', ' ) })` );
+    return reciter;
+}
+
+/**
+ * Create a resolver that looks verses up in the bundled dataset.
+ */
+export function createOfflineResolver() {
+    /**
+     * Look up the text, translations and audio path of each verse.
+     *
+     * @param {Array} verseKeys - Verse keys such as '2:255'.
+     * @param {Object} options - { reciter, translation } names. translation may be a list of names.
+     * @returns {Promise<Array>} - { verse_key, aya, translation, translations, audio_url } for each verse,
+     *   where translation is the first translation and translations maps each name to its text.
+     */
+    async function resolveVerses( verseKeys, { reciter = DEFAULT_RECITER, translation = DEFAULT_TRANSLATION, tajweed = false } = {} ) {
+        if ( tajweed ) throw new Error( 'The bundled dataset has no tajweed markup; set QURAN_RESOLVER=quran.com or send aya_tajweed with each ayah' );
+        const recitation = getReciter( reciter );
+        const sources = getTranslationNames( translation ).map( ( name ) => {
+            const language = TRANSLATIONS[name];
+            if ( !language ) throw new Error( `Unknown translation "${ name }" (expected one of ${ Object.keys( TRANSLATIONS ).join( ', ' ) })` );
+            return { name, data: loadDataset( language ) };
+        } );
+
+        return verseKeys.map( ( verseKey ) => {
+            const [chapter, verse] = verseKey.split( ':' ).map( Number );
+            const translations = {};
+            let text;
+            for ( const { name, data } of sources ) {
+                const entry = data.find( c => c.id === chapter )?.verses.find( v => v.id === verse );
+                if ( !entry ) throw new Error( `Verse ${ verseKey } not found` );
+                text = entry.text;
+                translations[name] = entry.translation ?? entry.transliteration;
+            }
+
+            return {
+                verse_key: verseKey,
+                aya: text,
+                translation: Object.values( translations )[0],
+                translations,
+                audio_url: getAudioPath( recitation, verseKey )
+            };
+        } );
+    }
+
+    return { name: 'offline', resolveVerses };
+}
+
+/**
+ * Create a resolver that looks verses up with the quran.com API.
+ * Reciters and translations may be given by name or by their numeric quran.com ID.
+ * It also returns the recitation's word timing segments, for word-by-word highlighting, and with
+ * the tajweed option each verse's tajweed markup as aya_tajweed.
+ *
+ * Verses are fetched a page of a chapter at a time, a few pages at once, and each call gives up after
+ * timeoutMs. Failed lookups throw errors with status 502, since the request itself was fine.
+ *
+ * @param {string} baseUrl - Base URL of the API (e.g. https://api.quran.com/api/v4).
+ * @param {Object} options
+ * @param {number} options.timeoutMs - How long to wait for each call (default: 10000).
+ */
+export function createQuranComResolver( baseUrl, { timeoutMs = QURAN_COM_TIMEOUT_MS } = {} ) {
+    const upstreamError = ( message ) => Object.assign( new Error( message ), { status: 502 } );
+
+    async function fetchPage( chapter, page, query ) {
+        const requestUrl = `${ baseUrl }/verses/by_chapter/${ chapter }?${ query }&per_page=${ QURAN_COM_PAGE_SIZE }&page=${ page }`;
+        let response;
+        try {
+            response = await fetch( requestUrl, { signal: AbortSignal.timeout( timeoutMs ) } );
+        } catch ( err ) {
+            throw upstreamError( `Failed to look up chapter ${ chapter }: ${ err.message }` );
+        }
+        if ( !response.ok ) throw upstreamError( `Failed to look up chapter ${ chapter }: ${ response.status }` );
+        return ( await response.json() ).verses || [];
+    }
+
+    async function resolveVerses( verseKeys, { reciter = DEFAULT_RECITER, translation = DEFAULT_TRANSLATION, tajweed = false } = {} ) {
+        const recitationId = Number.isInteger( reciter ) ? reciter : getReciter( reciter ).quranComId;
+        const names = getTranslationNames( translation );
+        const translationIds = names.map( ( name ) => {
+            const translationId = Number.isInteger( name ) ? name : QURAN_COM_TRANSLATIONS[name];
+            if ( !translationId ) throw new Error( `Translation "${ name }" has no quran.com ID; pass the numeric ID instead` );
+            return translationId;
+        } );
+
+        // The pages of each chapter that hold the verses
+        const fields = tajweed ? 'text_uthmani,text_uthmani_tajweed' : 'text_uthmani';
+        const query = `fields=${ fields }&translations=${ translationIds.join( ',' ) }&audio=${ recitationId }`;
+        const pages = [...new Set( verseKeys.map( ( verseKey ) => {
+            const [chapter, verse] = verseKey.split( ':' ).map( Number );
+            return `${ chapter }:${ Math.ceil( verse / QURAN_COM_PAGE_SIZE ) }`;
+        } ) )].map( ( key ) => key.split( ':' ).map( Number ) );
+        const results = await mapWithConcurrency( pages, QURAN_COM_CONCURRENCY, ( [chapter, page] ) => fetchPage( chapter, page, query ) );
+        const found = new Map( results.flat().map( ( verse ) => [verse.verse_key, verse] ) );
+
+        return verseKeys.map( ( verseKey ) => {
+            const verse = found.get( verseKey );
+            if ( !verse ) throw upstreamError( `Verse ${ verseKey } was not returned by quran.com` );
+
+            // Drop footnote markers and any other markup from the translations
+            const translations = {};
+            names.forEach( ( name, i ) => {
+                const text = verse.translations?.find( t => t.resource_id === translationIds[i] )?.text ?? verse.translations?.[i]?.text;
+                translations[name] = ( text || '' ).replace( /<sup[^>]*>.*?<\/sup>/g, '' ).replace( /<[^>]+>/g, '' );
+            } );
+
+            return {
+                verse_key: verseKey,
+                aya: verse.text_uthmani,
+                ...( tajweed && { aya_tajweed: verse.text_uthmani_tajweed } ),
+                translation: translations[names[0]],
+                translations,
+                audio_url: verse.audio?.url,
+                segments: verse.audio?.segments
+            };
+        } );
+    }
+
+    return { name: 'quran.com', resolveVerses };
+}
+
+/**
+ * Create the resolver selected by the QURAN_RESOLVER environment variable (offline by default).
+ *
+ * @param {Object} env - Environment variables (usually process.env).
+ */
+export function createQuranResolver( env ) {
+    const resolver = ( env.QURAN_RESOLVER || 'offline' ).toLowerCase();
+
+    switch ( resolver ) {
+        case 'offline':
+            return createOfflineResolver();
+        case 'quran.com':
+            return createQuranComResolver( env.QURAN_API_URL || 'https://api.quran.com/api/v4' );
+        default:
+            throw new Error( `Unknown QURAN_RESOLVER: ${ resolver } (expected offline or quran.com)` );
+    }
+}
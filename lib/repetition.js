@@ -0,0 +1,120 @@
+/**
+ * Memorization (hifz) repetition: each ayah played several times, ranges of ayat looped,
+ * and a silent gap after each repetition for the learner to recite back.
+ * This module expands the ayat into the sequence of plays the video is built from.
+ */
+
+// Limits for repetition counts, the gap (seconds) and the length of the expanded sequence
+const MAX_REPETITIONS = 20;
+const MAX_GAP = 30;
+const MAX_PLAYS = 500;
+
+function resolveCount( count, name ) {
+    if ( !Number.isInteger( count ) || count < 1 || count > MAX_REPETITIONS ) {
+        throw new Error( `${ name } must be a whole number between 1 and ${ MAX_REPETITIONS }` );
+    }
+    return count;
+}
+
+/**
+ * Number of plays the resolved counts and ranges expand to (see expandRepetitions).
+ */
+function countPlays( counts, ranges ) {
+    const sum = ( start, end ) => counts.slice( start, end ).reduce( ( total, count ) => total + count, 0 );
+    return ranges.reduce(
+        ( total, { start, end, times } ) => total + sum( start, end + 1 ) * ( times - 1 ),
+        sum( 0, counts.length )
+    );
+}
+
+/**
+ * Resolve the request's repeat option (a count for every ayah, or { ayah, ranges, gap, counter })
+ * and each ayah's own repeat count. Throws when an option is invalid.
+ *
+ * @param {number|Object} repeat - The request's repeat option.
+ * @param {Array} ayat - The ayat, which may each have a repeat count and are matched to ranges by verse_key.
+ * @returns {Object|null} - { counts, ranges, gap, counter }, where counts holds how many times each ayah
+ *   plays in a row and ranges the { start, end, times } (ayah indexes) of each looped range,
+ *   or null when nothing repeats. Also throws when the ayat would be played more than MAX_PLAYS times.
+ */
+export function resolveRepeat( repeat, ayat = [] ) {
+    if ( repeat === undefined && !ayat.some( ( ayah ) => ayah.repeat !== undefined ) ) return null;
+
+    const options = typeof repeat === 'number' ? { ayah: repeat } : repeat ?? {};
+    if ( typeof options !== 'object' || Array.isArray( options ) ) throw new Error( 'repeat must be a number or an object' );
+
+    const defaultCount = resolveCount( options.ayah ?? 1, 'repeat.ayah' );
+    const counts = ayat.map( ( ayah, i ) => ayah.repeat === undefined ? defaultCount : resolveCount( ayah.repeat, `ayat[${ i }].repeat` ) );
+
+    // Ranges are given by verse key, in order and without overlapping
+    const indexOf = ( verseKey, name ) => {
+        const index = ayat.findIndex( ( ayah ) => ayah.verse_key === verseKey );
+        if ( index === -1 ) throw new Error( `${ name } must be the verse_key of one of the ayat` );
+        return index;
+    };
+    if ( options.ranges !== undefined && !Array.isArray( options.ranges ) ) throw new Error( 'repeat.ranges must be a list' );
+    const ranges = ( options.ranges || [] ).map( ( range, i ) => {
+        if ( !range || typeof range !== 'object' ) throw new Error( `repeat.ranges[${ i }] must be an object with from, to and times` );
+        const start = indexOf( range.from, `repeat.ranges[${ i }].from` );
+        const end = indexOf( range.to ?? range.from, `repeat.ranges[${ i }].to` );
+        if ( end < start ) throw new Error( `repeat.ranges[${ i }] must end after it starts` );
+        return { start, end, times: resolveCount( range.times, `repeat.ranges[${ i }].times` ) };
+    } );
+    ranges.forEach( ( range, i ) => {
+        if ( i > 0 && range.start <= ranges[i - 1].end ) throw new Error( 'repeat.ranges must be in order and must not overlap' );
+    } );
+
+    const gap = options.gap ?? 0;
+    if ( typeof gap !== 'number' || gap < 0 || gap > MAX_GAP ) throw new Error( `repeat.gap must be a number of seconds between 0 and ${ MAX_GAP }` );
+
+    const plays = countPlays( counts, ranges );
+    if ( plays > MAX_PLAYS ) throw new Error( `repeat plays ${ plays } ayat in total; the limit is ${ MAX_PLAYS }` );
+
+    return { counts, ranges, gap, counter: options.counter !== false };
+}
+
+/**
+ * Expand the ayat into the order they are played in. Each ayah plays its count of times in a row,
+ * and a looped range plays through all of its ayat (with their repetitions) once per round.
+ * Throws when the sequence would be too long.
+ *
+ * @param {number} ayatCount - Number of ayat.
+ * @param {Object} repeat - The resolved repeat option, or null to play each ayah once.
+ * @returns {Array<Object>} - The { index, repetition, repetitions, round, rounds } of each play,
+ *   where index is the ayah's and the counters start at 1.
+ */
+export function expandRepetitions( ayatCount, repeat ) {
+    const plays = [];
+    const playAyah = ( index, round, rounds ) => {
+        const repetitions = repeat?.counts[index] ?? 1;
+        for ( let repetition = 1; repetition <= repetitions; repetition++ ) {
+            plays.push( { index, repetition, repetitions, round, rounds } );
+        }
+    };
+
+    for ( let i = 0; i < ayatCount; i++ ) {
+        const range = repeat?.ranges.find( ( { start } ) => start === i );
+        if ( !range ) {
+            playAyah( i, 1, 1 );
+            continue;
+        }
+        for ( let round = 1; round <= range.times; round++ ) {
+            for ( let j = range.start; j <= range.end; j++ ) playAyah( j, round, range.times );
+        }
+        i = range.end;
+    }
+
+    if ( plays.length > MAX_PLAYS ) throw new Error( `repeat plays ${ plays.length } ayat in total; the limit is ${ MAX_PLAYS }` );
+    return plays;
+}
+
+/**
+ * Text of the on-screen counter for a play, such as "Round 1/2 · Repetition 3/5",
+ * or null when the play isn't repeated.
+ */
+export function getCounterLabel( { repetition, repetitions, round, rounds } ) {
+    const parts = [];
+    if ( rounds > 1 ) parts.push( `Round ${ round }/${ rounds }` );
+    if ( repetitions > 1 ) parts.push( `Repetition ${ repetition }/${ repetitions }` );
+    return parts.length > 0 ? parts.join( ' · ' ) : null;
+}
@@ -0,0 +1,302 @@
+import Ajv2020 from 'ajv/dist/2020.js';
+import ajvErrors from 'ajv-errors';
+import { BACKGROUND_TYPES, GRADIENT_DIRECTIONS } from './backgrounds.js';
+
+/**
+ * The JSON Schema (draft 2020-12) of render requests (POST /process, POST /preview and the RunPod handler),
+ * published at GET /schema, and the validator that checks requests against it with ajv before any work starts.
+ *
+ * errorMessage is the keyword of ajv-errors: it replaces the message of a failure.
+ * The options with their own resolvers (format, style, transition and so on) are only checked for their
+ * type here; the resolvers check the rest.
+ */
+
+// Limits that keep a single request within what the encoder can handle
+export const MAX_AYAT = 300;
+const MAX_AYAH_LENGTH = 2000;
+const MAX_TAJWEED_LENGTH = 20000;
+const MAX_TRANSLATION_LENGTH = 5000;
+const MAX_TRANSLATIONS = 4;
+const MAX_BACKGROUND_LINKS = 20;
+const MAX_SEGMENTS = 1000;
+const MAX_URL_LENGTH = 2048;
+
+const optionObject = ( description ) => ( { type: 'object', description } );
+
+export const REQUEST_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Render request',
+    description: 'Body of POST /process and POST /preview, and input of the RunPod handler.',
+    $comment: 'errorMessage is the keyword of ajv-errors, which replaces the message of a failure.',
+    type: 'object',
+    allOf: [{
+        oneOf: [
+            { required: ['verses'], not: { anyOf: [{ required: ['recitation_files'] }, { required: ['ayat'] }] } },
+            { required: ['recitation_files', 'ayat'], not: { required: ['verses'] } }
+        ],
+        errorMessage: 'must have either verses, or recitation_files and ayat, but not both'
+    }],
+    required: ['background'],
+    additionalProperties: false,
+    properties: {
+        verses: { type: 'string', minLength: 1, maxLength: 500, description: 'Verse range such as "2:255-2:257", looked up for the text and audio.' },
+        reciter: { type: 'string', minLength: 1, description: 'Reciter of a verse range request.' },
+        translation: {
+            type: ['string', 'array'],
+            description: 'Translation of a verse range request, or a list of them.',
+            minLength: 1,
+            items: { type: 'string', minLength: 1 },
+            minItems: 1,
+            maxItems: MAX_TRANSLATIONS
+        },
+        recitation_files: {
+            type: 'array',
+            description: 'The recitation audio of each ayah, in the order of ayat.',
+            items: { $ref: '#/$defs/recitationFile' },
+            minItems: 1,
+            maxItems: MAX_AYAT
+        },
+        ayat: {
+            type: 'array',
+            description: 'The text of each ayah.',
+            items: { $ref: '#/$defs/ayah' },
+            minItems: 1,
+            maxItems: MAX_AYAT
+        },
+        background: { $ref: '#/$defs/background' },
+        format: { type: ['string', 'object'], description: 'Output format preset, or { width, height }.' },
+        style: optionObject( 'Text style options.' ),
+        highlight_color: { type: 'string', description: 'Color of the recited word.' },
+        transition: { type: ['string', 'object'], description: 'Transition type, or { type, duration, easing }.' },
+        intro: { type: ['boolean', 'object'], description: 'Surah title card.' },
+        outro: { type: ['string', 'object'], description: 'Closing card text, or { text, duration }.' },
+        ayah_numbers: { type: 'boolean', description: 'Whether to end each ayah with its number.' },
+        translations: {
+            type: 'array',
+            description: 'Translation tracks, from top to bottom.',
+            items: { type: ['string', 'object'] }
+        },
+        tajweed: { type: ['boolean', 'object'], description: 'Tajweed coloring.' },
+        repeat: { type: ['integer', 'object'], description: 'Memorization repeats.' },
+        audio: optionObject( 'Audio processing options.' ),
+        poster: { type: ['boolean', 'object'], description: 'Poster image.' },
+        animated_preview: { type: ['boolean', 'object'], description: 'Animated GIF or WebP preview.' },
+        force: { type: 'boolean', description: 'Render again even when the same request was rendered before from the same media.' },
+        webhook_url: { type: 'string', maxLength: MAX_URL_LENGTH, description: 'URL called when the video is done or fails.' },
+        time: { type: 'number', minimum: 0, description: 'POST /preview only: the time of the frame, in seconds.' },
+        ayah: { type: 'integer', minimum: 0, description: 'POST /preview only: the index of the ayah to show.' },
+        route: { enum: ['process'], description: 'RunPod only.' }
+    },
+    $defs: {
+        verseKey: {
+            type: 'string',
+            pattern: '^[0-9]{1,3}:[0-9]{1,3}$',
+            errorMessage: 'must be a verse key such as "2:255"'
+        },
+        mediaSource: {
+            type: 'object',
+            properties: {
+                url: { type: 'string', minLength: 1, maxLength: MAX_URL_LENGTH },
+                upload_id: { type: 'string', pattern: '^[\\w-]+$' },
+                path: { type: 'string', minLength: 1 }
+            },
+            oneOf: [{ required: ['url'] }, { required: ['upload_id'] }, { required: ['path'] }],
+            errorMessage: 'must have one of url, upload_id or path'
+        },
+        segments: {
+            type: 'array',
+            description: 'Word timings: [word, start, end] with the word from 1 and the times in milliseconds.',
+            items: { type: 'array', items: { type: 'number' }, minItems: 3 },
+            maxItems: MAX_SEGMENTS
+        },
+        recitationFile: {
+            type: 'object',
+            required: ['audio_files'],
+            description: 'Other fields (such as those of a quran.com recitation) are ignored.',
+            properties: {
+                verse_key: { $ref: '#/$defs/verseKey' },
+                audio_files: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        $ref: '#/$defs/mediaSource',
+                        properties: { segments: { $ref: '#/$defs/segments' } }
+                    },
+                    minItems: 1
+                }
+            }
+        },
+        ayah: {
+            type: 'object',
+            required: ['verse_key', 'aya'],
+            description: 'Other fields (such as those of a quran.com verse) are ignored.',
+            properties: {
+                verse_key: { $ref: '#/$defs/verseKey' },
+                aya: { type: 'string', minLength: 1, maxLength: MAX_AYAH_LENGTH },
+                aya_tajweed: { type: 'string', maxLength: MAX_TAJWEED_LENGTH },
+                translation: { type: 'string', maxLength: MAX_TRANSLATION_LENGTH },
+                translations: {
+                    type: 'object',
+                    additionalProperties: { type: 'string', maxLength: MAX_TRANSLATION_LENGTH },
+                    maxProperties: MAX_TRANSLATIONS
+                },
+                segments: { $ref: '#/$defs/segments' },
+                repeat: { type: 'integer' }
+            }
+        },
+        background: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                type: { enum: BACKGROUND_TYPES },
+                links: {
+                    type: 'array',
+                    items: {
+                        type: ['string', 'object'],
+                        minLength: 1,
+                        maxLength: MAX_URL_LENGTH,
+                        if: { type: 'object' },
+                        then: { $ref: '#/$defs/mediaSource' }
+                    },
+                    maxItems: MAX_BACKGROUND_LINKS
+                },
+                source: { $ref: '#/$defs/mediaSource' },
+                ken_burns: { type: ['boolean', 'object'] },
+                color: { type: 'string' },
+                colors: { type: 'array', items: { type: 'string' } },
+                direction: { enum: GRADIENT_DIRECTIONS }
+            }
+        }
+    }
+};
+
+const TYPE_NAMES = { object: 'an object', array: 'a list', string: 'a string', integer: 'a whole number', number: 'a number', boolean: 'true or false', null: 'null' };
+
+function describeTypes( types ) {
+    return [...new Set( [].concat( types ) )].map( ( type ) => TYPE_NAMES[type] ).join( ' or ' );
+}
+
+function plural( count, word ) {
+    return `${ count } ${ word }${ count === 1 ? '' : 's' }`;
+}
+
+// The code and message of a failed keyword, from the params of ajv's error
+const FAILURES = {
+    type: { code: 'invalid_type', describe: ( { type } ) => `must be ${ describeTypes( type ) }` },
+    enum: { code: 'invalid_value', describe: ( { allowedValues } ) => `must be one of ${ allowedValues.join( ', ' ) }` },
+    minLength: { code: 'too_short', describe: ( { limit } ) => limit === 1 ? 'must not be empty' : `must be at least ${ plural( limit, 'character' ) }` },
+    maxLength: { code: 'too_long', describe: ( { limit } ) => `must be at most ${ plural( limit, 'character' ) }` },
+    pattern: { code: 'invalid_format', describe: ( { pattern } ) => `must match ${ pattern }` },
+    minimum: { code: 'out_of_range', describe: ( { limit } ) => `must be at least ${ limit }` },
+    maximum: { code: 'out_of_range', describe: ( { limit } ) => `must be at most ${ limit }` },
+    minItems: { code: 'too_few_items', describe: ( { limit } ) => `must have at least ${ plural( limit, 'item' ) }` },
+    maxItems: { code: 'too_many_items', describe: ( { limit } ) => `must have at most ${ plural( limit, 'item' ) }` },
+    minProperties: { code: 'too_few_items', describe: ( { limit } ) => `must have at least ${ plural( limit, 'field' ) }` },
+    maxProperties: { code: 'too_many_items', describe: ( { limit } ) => `must have at most ${ plural( limit, 'field' ) }` }
+};
+
+const ajv = new Ajv2020( { allErrors: true, allowUnionTypes: true, strictTypes: true } );
+ajvErrors( ajv );
+const checkRequestSchema = ajv.compile( REQUEST_SCHEMA );
+
+function describePath( path ) {
+    return path === '$' ? 'The request' : path.replace( /^\$\.?/, '' );
+}
+
+function childPath( path, key ) {
+    return typeof key === 'number' ? `${ path }[${ key }]` : /^[A-Za-z_]\w*$/.test( key ) ? `${ path }.${ key }` : `${ path }[${ JSON.stringify( key ) }]`;
+}
+
+/**
+ * Turn the JSON pointer of an ajv error, such as '/ayat/0/aya', into the JSON path of the value, such as '$.ayat[0].aya'.
+ */
+function toPath( pointer, data ) {
+    let path = '$';
+    let value = data;
+    for ( const segment of pointer.split( '/' ).slice( 1 ) ) {
+        const key = segment.replace( /~1/g, '/' ).replace( /~0/g, '~' );
+        path = childPath( path, Array.isArray( value ) ? Number( key ) : key );
+        value = value?.[key];
+    }
+    return path;
+}
+
+/**
+ * Turn ajv's errors into problems.
+ *
+ * @param {Array<Object>} errors - The errors ajv found.
+ * @param {*} data - The value ajv checked.
+ * @returns {Array<Object>} - The { code, path, message } of each problem.
+ */
+function toProblems( errors, data ) {
+    // A value of the wrong type gets only that problem, since the rest of its schema doesn't apply to it
+    const mistyped = new Set( errors.filter( ( { keyword } ) => keyword === 'type' ).map( ( { instancePath } ) => instancePath ) );
+    const problems = [];
+
+    for ( const { keyword, instancePath, params, message } of errors ) {
+        // A failed if/then is reported by the keywords of then
+        if ( keyword === 'if' || ( keyword !== 'type' && mistyped.has( instancePath ) ) ) continue;
+        const path = toPath( instancePath, data );
+
+        if ( keyword === 'required' || keyword === 'additionalProperties' ) {
+            const field = childPath( path, params.missingProperty ?? params.additionalProperty );
+            const [code, problem] = keyword === 'required' ? ['missing_field', 'is required'] : ['unknown_field', 'is not a known field'];
+            problems.push( { code, path: field, message: `${ describePath( field ) } ${ problem }` } );
+        } else if ( keyword === 'errorMessage' ) {
+            // The code comes from the failures the schema's own message replaced; a failed oneOf is a value of no allowed form
+            const replaced = params.errors.map( ( error ) => error.keyword );
+            const code = replaced.includes( 'type' ) ? 'invalid_type' : replaced.includes( 'oneOf' ) ? 'invalid_value' : FAILURES[replaced[0]]?.code || 'invalid_value';
+            problems.push( { code, path, message: `${ describePath( path ) } ${ message }` } );
+        } else {
+            const failure = FAILURES[keyword];
+            problems.push( { code: failure?.code || 'invalid_value', path, message: `${ describePath( path ) } ${ failure ? failure.describe( params ) : message }` } );
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Validate a render request: the schema, then the checks across fields that it can't express.
+ *
+ * @param {Object} data - The request body.
+ * @returns {Array<Object>} - The { code, path, message } of each problem, empty when the request is valid.
+ */
+export function validateRenderRequest( data ) {
+    if ( !checkRequestSchema( data ) ) return toProblems( checkRequestSchema.errors, data );
+    const errors = [];
+    if ( data.verses !== undefined ) return errors;
+
+    const { recitation_files, ayat } = data;
+    if ( recitation_files.length !== ayat.length ) {
+        errors.push( {
+            code: 'length_mismatch',
+            path: '$.recitation_files',
+            message: `recitation_files has ${ plural( recitation_files.length, 'item' ) } but ayat has ${ ayat.length }; each ayah needs its recitation file`
+        } );
+    }
+    recitation_files.forEach( ( file, i ) => {
+        if ( file.verse_key && ayat[i] && file.verse_key !== ayat[i].verse_key ) {
+            errors.push( {
+                code: 'verse_key_mismatch',
+                path: `$.recitation_files[${ i }].verse_key`,
+                message: `recitation_files[${ i }].verse_key is ${ file.verse_key } but ayat[${ i }] is ${ ayat[i].verse_key }`
+            } );
+        }
+    } );
+
+    return errors;
+}
+
+/**
+ * Create the error for an invalid request. Its message is the first problem's; errors holds them all.
+ *
+ * @param {Array<Object>} errors - The { code, path, message } of each problem.
+ * @returns {Error} - The error, with its errors.
+ */
+export function createValidationError( errors ) {
+    const more = errors.length > 1 ? ` (and ${ plural( errors.length - 1, 'more problem' ) })` : '';
+    const error = new Error( `${ errors[0].message }${ more }` );
+    error.errors = errors;
+    return error;
+}
@@ -0,0 +1,80 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Resolve and fetch media (audio, backgrounds) from URLs, uploads or allowlisted local directories.
+ */
+
+/**
+ * Check whether a hostname is one of the allowed hosts or a subdomain of one.
+ */
+function isAllowedHost( hostname, allowedHosts ) {
+    return allowedHosts.some( allowed => hostname === allowed || hostname.endsWith( `.${ allowed }` ) );
+}
+
+/**
+ * Resolve where a media file comes from. Throws when the source isn't allowed.
+ *
+ * @param {Object} entry - One of { url } (absolute, or relative to baseUrl), { upload_id } or { path }.
+ * @param {Object} options - Resolution options.
+ * @param {string} options.baseUrl - Base for relative URLs (relative URLs are rejected without one).
+ * @param {Array} options.allowedHosts - Hosts URLs may point at (any host when empty).
+ * @param {Array} options.allowedDirs - Directories local paths may point into (local paths are rejected when empty).
+ * @param {Object} options.uploads - The upload store (see lib/uploads.js).
+ * @returns {Object} - { url } for remote files, or { path } for local files and uploads.
+ */
+export function resolveMediaSource( entry, { baseUrl, allowedHosts = [], allowedDirs = [], uploads } ) {
+    if ( entry.upload_id !== undefined ) {
+        return { path: uploads.getPath( entry.upload_id ) };
+    }
+
+    if ( entry.path !== undefined ) {
+        const filePath = fs.realpathSync( path.resolve( String( entry.path ) ) );
+        const allowed = allowedDirs.some( dir => {
+            const root = fs.realpathSync( path.resolve( dir ) );
+            return filePath.startsWith( root + path.sep );
+        } );
+        if ( !allowed ) throw new Error( `Local path ${ entry.path } is not in an allowed directory` );
+        return { path: filePath };
+    }
+
+    if ( typeof entry.url !== 'string' || entry.url === '' ) throw new Error( 'Expected a url, upload_id or path' );
+
+    const isAbsolute = /^[a-z][a-z\d+.-]*:/i.test( entry.url );
+    if ( !isAbsolute && !baseUrl ) throw new Error( `Relative URL ${ entry.url } needs a base URL` );
+
+    const url = new URL( entry.url, baseUrl && baseUrl.replace( /\/*$/, '/' ) );
+    if ( url.protocol !== 'https:' && url.protocol !== 'http:' ) throw new Error( `Unsupported URL protocol: ${ url.protocol }` );
+    if ( allowedHosts.length > 0 && !isAllowedHost( url.hostname, allowedHosts ) ) {
+        throw new Error( `Host ${ url.hostname } is not allowed` );
+    }
+
+    return { url: url.href };
+}
+
+/**
+ * Download or copy a resolved media source to a local path, through the download cache when one is given
+ * (see lib/cache.js).
+ */
+export async function fetchMediaSource( source, destinationPath, cache = null ) {
+    if ( source.path ) {
+        fs.copyFileSync( source.path, destinationPath );
+        return;
+    }
+    if ( cache ) {
+        await cache.fetch( source.url, destinationPath );
+        return;
+    }
+
+    const response = await fetch( source.url );
+    if ( !response.ok ) throw new Error( `Failed to fetch ${ source.url }: ${ response.status }` );
+    const buffer = await response.arrayBuffer();
+    fs.writeFileSync( destinationPath, Buffer.from( buffer ) );
+}
+
+/**
+ * Split a comma-separated environment variable into a list.
+ */
+export function parseList( value ) {
+    return ( value || '' ).split( ',' ).map( item => item.trim() ).filter( Boolean );
+}
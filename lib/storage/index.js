@@ -0,0 +1,51 @@
+import path from 'path';
+import { createS3Storage } from './s3.js';
+import { createLocalStorage } from './local.js';
+
+/**
+ * Create the storage driver selected by the STORAGE_DRIVER environment variable.
+ *
+ * - r2 (default): Cloudflare R2, configured with the R2_* variables.
+ * - s3: any S3-compatible endpoint, configured with the S3_* variables.
+ * - local: files on disk, served by the HTTP server, configured with the STORAGE_LOCAL_* variables.
+ *
+ * @param {Object} env - Environment variables (usually process.env).
+ * @returns {Object} - The storage driver.
+ */
+export function createStorage( env ) {
+    const driver = ( env.STORAGE_DRIVER || 'r2' ).toLowerCase();
+
+    switch ( driver ) {
+        case 'r2':
+            return createS3Storage( {
+                name: 'r2',
+                endpoint: `https://${ env.R2_ACCOUNT_ID || '' }.r2.cloudflarestorage.com`,
+                region: 'auto', // Cloudflare R2 uses 'auto' as the region
+                bucket: env.R2_BUCKET_NAME || '',
+                accessKeyId: env.R2_ACCESS_KEY_ID || '',
+                secretAccessKey: env.R2_SECRET_ACCESS_KEY || '',
+                publicUrl: env.R2_PUBLIC_URL
+            } );
+
+        case 's3':
+            return createS3Storage( {
+                endpoint: env.S3_ENDPOINT || undefined, // AWS S3 itself when omitted
+                region: env.S3_REGION || 'us-east-1',
+                bucket: env.S3_BUCKET_NAME || '',
+                accessKeyId: env.S3_ACCESS_KEY_ID || '',
+                secretAccessKey: env.S3_SECRET_ACCESS_KEY || '',
+                forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+                publicUrl: env.S3_PUBLIC_URL
+            } );
+
+        case 'local':
+            return createLocalStorage( {
+                directory: env.STORAGE_LOCAL_DIR || path.resolve( process.cwd(), 'storage' ),
+                baseUrl: env.STORAGE_LOCAL_BASE_URL || `http://localhost:${ env.PORT || 3000 }`,
+                secret: env.STORAGE_LOCAL_SECRET
+            } );
+
+        default:
+            throw new Error( `Unknown STORAGE_DRIVER: ${ driver } (expected r2, s3 or local)` );
+    }
+}
@@ -0,0 +1,110 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Content types for the files the pipeline produces, by extension
+const CONTENT_TYPES = {
+    '.mp4': 'video/mp4',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.json': 'application/json',
+    '.srt': 'application/x-subrip',
+    '.vtt': 'text/vtt'
+};
+
+/**
+ * Create a storage driver that keeps files on the local filesystem.
+ * Files are served by the HTTP server under /files/, behind HMAC-signed, expiring URLs.
+ *
+ * @param {Object} options - Driver options.
+ * @param {string} options.directory - Directory the files are stored in.
+ * @param {string} options.baseUrl - Public base URL of the HTTP server (e.g. http://localhost:3000).
+ * @param {string} options.secret - Secret used to sign URLs (random per process when omitted).
+ * @returns {Object} - The storage driver.
+ */
+export function createLocalStorage( { directory, baseUrl, secret } ) {
+    const root = path.resolve( directory );
+    const serverUrl = baseUrl.replace( /\/+$/, '' );
+
+    if ( !secret ) {
+        console.warn( 'STORAGE_LOCAL_SECRET is not set: signed file URLs will stop working when the server restarts' );
+        secret = crypto.randomBytes( 32 ).toString( 'hex' );
+    }
+
+    /**
+     * Resolve a key to a path inside the storage directory.
+     */
+    function resolveKey( key ) {
+        const filePath = path.resolve( root, key );
+        if ( !filePath.startsWith( root + path.sep ) ) throw new Error( `Invalid storage key: ${ key }` );
+        return filePath;
+    }
+
+    function sign( key, expires ) {
+        return crypto.createHmac( 'sha256', secret ).update( `${ key }:${ expires }` ).digest( 'hex' );
+    }
+
+    /**
+     * Create a signed URL for a file that expires after the given number of seconds.
+     */
+    async function getPresignedUrl( key, expirySeconds = 7200 ) {
+        const expires = Math.floor( Date.now() / 1000 ) + expirySeconds;
+        return `${ serverUrl }/files/${ key }?expires=${ expires }&signature=${ sign( key, expires ) }`;
+    }
+
+    /**
+     * Check a signed URL's expiry and signature.
+     */
+    function verifySignature( key, expires, signature ) {
+        if ( !expires || !signature || Number( expires ) < Date.now() / 1000 ) return false;
+
+        const expected = Buffer.from( sign( key, expires ) );
+        const actual = Buffer.from( String( signature ) );
+        return expected.length === actual.length && crypto.timingSafeEqual( expected, actual );
+    }
+
+    /**
+     * Copy a local file into storage and return its URLs.
+     */
+    async function upload( filePath, key ) {
+        const destination = resolveKey( key );
+        fs.mkdirSync( path.dirname( destination ), { recursive: true } );
+        fs.copyFileSync( filePath, destination );
+
+        return {
+            url: `${ serverUrl }/files/${ key }`,
+            presignedUrl: await getPresignedUrl( key )
+        };
+    }
+
+    /**
+     * Get the size, content type and modification date of a file, or null if it doesn't exist.
+     */
+    async function stat( key ) {
+        try {
+            const stats = fs.statSync( resolveKey( key ) );
+            if ( !stats.isFile() ) return null;
+
+            return {
+                size: stats.size,
+                contentType: CONTENT_TYPES[path.extname( key ).toLowerCase()] || 'application/octet-stream',
+                lastModified: stats.mtime
+            };
+        } catch ( err ) {
+            if ( err.code === 'ENOENT' ) return null;
+            throw err;
+        }
+    }
+
+    /**
+     * Open a stored file for reading.
+     */
+    function createReadStream( key ) {
+        return fs.createReadStream( resolveKey( key ) );
+    }
+
+    return { name: 'local', upload, stat, getPresignedUrl, verifySignature, createReadStream };
+}
@@ -0,0 +1,96 @@
+import fs from 'fs';
+import { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+/**
+ * Create a storage driver for an S3-compatible bucket (R2, AWS S3, MinIO, ...).
+ *
+ * @param {Object} options - Driver options.
+ * @param {string} options.name - Driver name reported to callers (default: s3).
+ * @param {string} options.endpoint - Endpoint URL of the S3 API (AWS S3 when omitted).
+ * @param {string} options.region - Region used to sign requests.
+ * @param {string} options.bucket - Bucket holding the files.
+ * @param {string} options.accessKeyId - Access key ID.
+ * @param {string} options.secretAccessKey - Secret access key.
+ * @param {boolean} options.forcePathStyle - Use path-style (endpoint/bucket/key) addressing.
+ * @param {string} options.publicUrl - Base URL for public file URLs (default: endpoint/bucket).
+ * @returns {Object} - The storage driver.
+ */
+export function createS3Storage( {
+    name = 's3',
+    endpoint,
+    region,
+    bucket,
+    accessKeyId,
+    secretAccessKey,
+    forcePathStyle = false,
+    publicUrl
+} ) {
+    const client = new S3Client( {
+        region,
+        endpoint,
+        forcePathStyle,
+        credentials: {
+            accessKeyId,
+            secretAccessKey,
+        },
+    } );
+
+    const defaultPublicUrl = endpoint ? `${ endpoint }/${ bucket }` : `https://${ bucket }.s3.${ region }.amazonaws.com`;
+    const baseUrl = ( publicUrl || defaultPublicUrl ).replace( /\/+$/, '' );
+
+    /**
+     * Create a SigV4 presigned GET URL for a file.
+     */
+    async function getPresignedUrl( key, expirySeconds = 7200 ) {
+        const command = new GetObjectCommand( {
+            Bucket: bucket,
+            Key: key,
+        } );
+
+        return getSignedUrl( client, command, { expiresIn: expirySeconds } );
+    }
+
+    /**
+     * Upload a local file and return its public and presigned URLs.
+     */
+    async function upload( filePath, key, contentType ) {
+        // Read the file from the local filesystem
+        const fileContent = fs.readFileSync( filePath );
+
+        await client.send( new PutObjectCommand( {
+            Bucket: bucket,
+            Key: key,
+            Body: fileContent,
+            ContentType: contentType,
+        } ) );
+
+        return {
+            url: `${ baseUrl }/${ key }`,
+            presignedUrl: await getPresignedUrl( key )
+        };
+    }
+
+    /**
+     * Get the size, content type and modification date of a file, or null if it doesn't exist.
+     */
+    async function stat( key ) {
+        try {
+            const metadata = await client.send( new HeadObjectCommand( {
+                Bucket: bucket,
+                Key: key,
+            } ) );
+
+            return {
+                size: metadata.ContentLength,
+                contentType: metadata.ContentType,
+                lastModified: metadata.LastModified || null
+            };
+        } catch ( err ) {
+            if ( err?.name === 'NotFound' || err?.$metadata?.httpStatusCode === 404 ) return null;
+            throw err;
+        }
+    }
+
+    return { name, upload, stat, getPresignedUrl };
+}
@@ -0,0 +1,154 @@
+import fs from 'fs';
+import { isSafeColor } from './backgrounds.js';
+
+/**
+ * Text styling for the overlays, and named themes that bundle a set of style options.
+ * Sizes are in pixels on a 1080px-wide canvas and are scaled with the output format.
+ */
+
+// The look of the original renderer
+export const DEFAULT_STYLE = {
+    arabic: {
+        font_family: 'UthmanicHafs',
+        font_size: 65,
+        line_height: 100,
+        color: 'white'
+    },
+    translation: {
+        font_family: 'ClashDisplay',
+        font_size: 32,
+        line_height: 45,
+        color: 'white'
+    },
+    // Space between the Arabic and translation text
+    gap: 24,
+    // Margin around each block of text
+    margin: 50,
+    // Where the text sits: 'top', 'center' or 'bottom' (just above the watermark)
+    position: 'bottom',
+    highlight_color: '#FFD54F',
+    // Optional effects, e.g. { color: 'rgba(0,0,0,0.6)', blur: 8, offset_x: 0, offset_y: 2 }
+    shadow: null,
+    // e.g. { color: 'black', width: 3 }
+    outline: null,
+    // Semi-transparent backing box behind the text, e.g. { color: 'black', opacity: 0.5, padding: 30 }
+    box: null
+};
+
+// Defaults for the optional effects, filled in when an effect is enabled
+const EFFECT_DEFAULTS = {
+    shadow: { color: 'rgba(0, 0, 0, 0.6)', blur: 8, offset_x: 0, offset_y: 2 },
+    outline: { color: 'black', width: 3 },
+    box: { color: 'black', opacity: 0.5, padding: 30 }
+};
+
+export const TEXT_POSITIONS = ['top', 'center', 'bottom'];
+
+// Themes that ship with the service
+export const BUILT_IN_THEMES = {
+    default: {},
+    minimal: {
+        arabic: { font_size: 58, line_height: 90 },
+        translation: { font_size: 28, line_height: 40, color: '#E0E0E0' },
+        position: 'center'
+    },
+    cinematic: {
+        shadow: { color: 'rgba(0, 0, 0, 0.75)', blur: 12, offset_x: 0, offset_y: 3 },
+        translation: { color: '#F5E6C8' },
+        highlight_color: '#F5C26B'
+    },
+    boxed: {
+        box: { color: 'black', opacity: 0.55, padding: 30 },
+        position: 'center'
+    },
+    outlined: {
+        outline: { color: 'black', width: 4 },
+        position: 'top'
+    }
+};
+
+let themes = null;
+
+/**
+ * Get the built-in themes plus those saved in the JSON file named by THEMES_FILE.
+ * The file holds an object mapping theme names to style options.
+ */
+export function getThemes() {
+    if ( themes ) return themes;
+
+    themes = { ...BUILT_IN_THEMES };
+    const themesFile = process.env.THEMES_FILE;
+    if ( themesFile ) {
+        try {
+            Object.assign( themes, JSON.parse( fs.readFileSync( themesFile, 'utf8' ) ) );
+        } catch ( err ) {
+            console.error( `Failed to load themes from ${ themesFile }:`, err );
+        }
+    }
+
+    return themes;
+}
+
+/**
+ * Merge style options over a base style, one level deep for the nested objects.
+ */
+function mergeStyle( base, overrides = {} ) {
+    const merged = { ...base };
+    for ( const [key, value] of Object.entries( overrides ) ) {
+        if ( key === 'theme' ) continue;
+        const isObject = value && typeof value === 'object' && !Array.isArray( value );
+        merged[key] = isObject && base[key] ? { ...base[key], ...value } : value;
+    }
+    return merged;
+}
+
+/**
+ * Resolve a request's style: the defaults, then the named theme, then the request's own options.
+ * Throws when the theme is unknown or an option is invalid.
+ *
+ * @param {Object} style - Style options from the request, optionally naming a theme.
+ * @returns {Object} - The complete style.
+ */
+export function resolveStyle( style = {} ) {
+    if ( typeof style !== 'object' || style === null || Array.isArray( style ) ) {
+        throw new Error( 'style must be an object' );
+    }
+
+    let resolved = DEFAULT_STYLE;
+    if ( style.theme !== undefined ) {
+        const theme = getThemes()[style.theme];
+        if ( !theme ) throw new Error( `Unknown theme "${ style.theme }" (expected one of ${ Object.keys( getThemes() ).join( ', ' ) })` );
+        resolved = mergeStyle( resolved, theme );
+    }
+    resolved = mergeStyle( resolved, style );
+
+    for ( const [effect, defaults] of Object.entries( EFFECT_DEFAULTS ) ) {
+        if ( resolved[effect] ) resolved[effect] = { ...defaults, ...resolved[effect] };
+    }
+
+    for ( const text of ['arabic', 'translation'] ) {
+        for ( const option of ['font_size', 'line_height'] ) {
+            const value = resolved[text][option];
+            if ( typeof value !== 'number' || value <= 0 || value > 500 ) {
+                throw new Error( `style.${ text }.${ option } must be a number between 0 and 500` );
+            }
+        }
+    }
+    for ( const option of ['gap', 'margin'] ) {
+        if ( typeof resolved[option] !== 'number' || resolved[option] < 0 || resolved[option] > 1000 ) {
+            throw new Error( `style.${ option } must be a number between 0 and 1000` );
+        }
+    }
+    if ( !TEXT_POSITIONS.includes( resolved.position ) ) {
+        throw new Error( `style.position must be one of ${ TEXT_POSITIONS.join( ', ' ) }` );
+    }
+    if ( resolved.box && ( typeof resolved.box.opacity !== 'number' || resolved.box.opacity < 0 || resolved.box.opacity > 1 ) ) {
+        throw new Error( 'style.box.opacity must be a number between 0 and 1' );
+    }
+    // The box is drawn by ffmpeg, so its color ends up in the filter graph
+    if ( resolved.box && !isSafeColor( resolved.box.color ) ) {
+        throw new Error( 'style.box.color must be a hex color or a color name' );
+    }
+
+    return resolved;
+}
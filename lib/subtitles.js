@@ -0,0 +1,66 @@
+/**
+ * Subtitle (SRT/WebVTT) and timing manifest generation from the per-ayah timeline.
+ */
+
+/**
+ * Format seconds as HH:MM:SS plus milliseconds, with the given separator before the milliseconds.
+ */
+function formatTimestamp( seconds, separator ) {
+    const totalMs = Math.round( seconds * 1000 );
+    const hours = Math.floor( totalMs / 3600000 );
+    const minutes = Math.floor( ( totalMs % 3600000 ) / 60000 );
+    const secs = Math.floor( ( totalMs % 60000 ) / 1000 );
+    const ms = totalMs % 1000;
+    const pad = ( value, length = 2 ) => String( value ).padStart( length, '0' );
+
+    return `${ pad( hours ) }:${ pad( minutes ) }:${ pad( secs ) }${ separator }${ pad( ms, 3 ) }`;
+}
+
+/**
+ * Cue text can't contain blank lines, which would end the cue early.
+ */
+function cleanCueText( text ) {
+    return String( text || '' ).replace( /\s*\n\s*/g, ' ' ).trim();
+}
+
+/**
+ * Build an SRT file from cues.
+ *
+ * @param {Array} cues - Cues with start and end (in seconds) and text.
+ * @returns {string} - The SRT file contents.
+ */
+export function toSrt( cues ) {
+    return cues
+        .map( ( cue, i ) => `${ i + 1 }\n${ formatTimestamp( cue.start, ',' ) } --> ${ formatTimestamp( cue.end, ',' ) }\n${ cleanCueText( cue.text ) }\n` )
+        .join( '\n' );
+}
+
+/**
+ * Build a WebVTT file from cues.
+ *
+ * @param {Array} cues - Cues with start and end (in seconds) and text.
+ * @returns {string} - The WebVTT file contents.
+ */
+export function toWebVtt( cues ) {
+    const body = cues
+        .map( ( cue ) => `${ formatTimestamp( cue.start, '.' ) } --> ${ formatTimestamp( cue.end, '.' ) }\n${ cleanCueText( cue.text ) }\n` )
+        .join( '\n' );
+
+    return `WEBVTT\n\n${ body }`;
+}
+
+/**
+ * Build the timing manifest: when each verse starts and ends in the video.
+ *
+ * @param {Array} timeline - Entries with verse_key, start and end (in seconds).
+ * @param {number} duration - Total duration of the video in seconds.
+ * @returns {Object} - The manifest.
+ */
+export function buildTimingManifest( timeline, duration ) {
+    const round = ( value ) => Math.round( value * 1000 ) / 1000;
+
+    return {
+        duration: round( duration ),
+        verses: timeline.map( ( { verse_key, start, end } ) => ( { verse_key, start: round( start ), end: round( end ) } ) )
+    };
+}
@@ -0,0 +1,112 @@
+/**
+ * Tajweed color coding for the Arabic text.
+ * Reads the rule-tagged markup quran.com returns as text_uthmani_tajweed, e.g.
+ * <tajweed class=ham_wasl>ٱ</tajweed>لْحَمْدُ ... <span class=end>٢</span>
+ */
+
+// Rules by quran.com class name, with their conventional colors
+export const TAJWEED_RULES = {
+    ham_wasl: { name: 'Hamzat al-Wasl', color: '#AAAAAA' },
+    laam_shamsiyah: { name: 'Lam Shamsiyyah', color: '#AAAAAA' },
+    slnt: { name: 'Silent', color: '#AAAAAA' },
+    madda_normal: { name: 'Madd (2 counts)', color: '#537FFF' },
+    madda_permissible: { name: 'Madd (2, 4 or 6 counts)', color: '#4050FF' },
+    madda_obligatory: { name: 'Madd Wajib (4 or 5 counts)', color: '#2144C1' },
+    madda_necessary: { name: 'Madd Lazim (6 counts)', color: '#000EBC' },
+    qalaqah: { name: 'Qalqalah', color: '#DD0008' },
+    ikhafa: { name: 'Ikhfa', color: '#9400A8' },
+    ikhafa_shafawi: { name: 'Ikhfa Shafawi', color: '#D500B7' },
+    iqlab: { name: 'Iqlab', color: '#26BFFD' },
+    idgham_ghunnah: { name: 'Idgham with Ghunnah', color: '#169777' },
+    idgham_wo_ghunnah: { name: 'Idgham without Ghunnah', color: '#169200' },
+    idgham_shafawi: { name: 'Idgham Shafawi', color: '#58B800' },
+    idgham_mutajanisayn: { name: 'Idgham Mutajanisayn', color: '#A1A1A1' },
+    idgham_mutaqaribayn: { name: 'Idgham Mutaqaribayn', color: '#A1A1A1' },
+    ghunnah: { name: 'Ghunnah', color: '#FF7E1E' }
+};
+
+// A tagged run such as <tajweed class=ghunnah>نّ</tajweed> or <span class="end">٢</span>
+const TAGGED_RUN = /<(tajweed|span)\s+class=["']?([\w-]+)["']?\s*>(.*?)<\/\1>/g;
+
+/**
+ * Resolve the request's tajweed option (true, or { colors, legend }). Throws when an option is invalid.
+ *
+ * @param {boolean|Object} tajweed - The request's tajweed option.
+ * @returns {Object|null} - { colors, legend }, with a color for every rule, or null when tajweed is off.
+ */
+export function resolveTajweed( tajweed ) {
+    if ( !tajweed ) return null;
+
+    const options = tajweed === true ? {} : tajweed;
+    if ( typeof options !== 'object' || Array.isArray( options ) ) throw new Error( 'tajweed must be true or an object' );
+
+    const colors = Object.fromEntries( Object.entries( TAJWEED_RULES ).map( ( [rule, { color }] ) => [rule, color] ) );
+    for ( const [rule, color] of Object.entries( options.colors || {} ) ) {
+        if ( !TAJWEED_RULES[rule] ) throw new Error( `Unknown tajweed rule "${ rule }" (expected one of ${ Object.keys( TAJWEED_RULES ).join( ', ' ) })` );
+        if ( typeof color !== 'string' ) throw new Error( `tajweed.colors.${ rule } must be a color` );
+        colors[rule] = color;
+    }
+
+    return { colors, legend: Boolean( options.legend ) };
+}
+
+/**
+ * Strip the tajweed markup from an ayah and collect the rule of each tagged run, per word.
+ * The ayah number span is dropped, as the renderer adds its own end-of-ayah marker.
+ *
+ * @param {string} markup - Tajweed-annotated text.
+ * @returns {Object} - The plain text, and for each of its words (split on spaces) the
+ *   { start, end, rule } runs within that word, as character offsets.
+ */
+export function parseTajweed( markup ) {
+    let text = '';
+    let position = 0;
+    const runs = [];
+
+    for ( const match of markup.matchAll( TAGGED_RUN ) ) {
+        const [tag, , rule, content] = match;
+        text += stripTags( markup.slice( position, match.index ) );
+        position = match.index + tag.length;
+        if ( rule === 'end' ) continue;
+
+        const plain = stripTags( content );
+        if ( TAJWEED_RULES[rule] ) runs.push( { start: text.length, end: text.length + plain.length, rule } );
+        text += plain;
+    }
+    text = ( text + stripTags( markup.slice( position ) ) ).replace( /\s+$/, '' );
+
+    // Split the runs at word boundaries, with offsets relative to each word
+    const words = [];
+    let wordStart = 0;
+    for ( const word of text.split( ' ' ) ) {
+        const wordEnd = wordStart + word.length;
+        words.push( runs
+            .filter( ( run ) => run.start < wordEnd && run.end > wordStart )
+            .map( ( run ) => ( {
+                start: Math.max( run.start, wordStart ) - wordStart,
+                end: Math.min( run.end, wordEnd ) - wordStart,
+                rule: run.rule
+            } ) ) );
+        wordStart = wordEnd + 1;
+    }
+
+    return { text, words };
+}
+
+function stripTags( html ) {
+    return html.replace( /<[^>]*>/g, '' );
+}
+
+/**
+ * The legend of the rules used in some parsed ayat (all rules when none are given), in the rule order.
+ *
+ * @param {Object} colors - Color of each rule.
+ * @param {Array} words - Parsed words (see parseTajweed), flattened across ayat.
+ * @returns {Array<Object>} - The { rule, name, color } of each rule.
+ */
+export function getTajweedLegend( colors, words = null ) {
+    const used = words && new Set( words.flat().map( ( run ) => run.rule ) );
+    return Object.entries( TAJWEED_RULES )
+        .filter( ( [rule] ) => !used || used.has( rule ) )
+        .map( ( [rule, { name }] ) => ( { rule, name, color: colors[rule] } ) );
+}
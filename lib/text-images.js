@@ -0,0 +1,333 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createCanvas, registerFont } from 'canvas';
+import { parseList } from './sources.js';
+
+/**
+ * The text images laid over the video: the Arabic text of each ayah, its translations, title cards and
+ * the tajweed legend, drawn with canvas and written as PNGs. They can be drawn in worker threads
+ * (see lib/text-worker.js), so each renderer takes and returns plain data.
+ */
+
+const FONTS_DIR = path.join( path.dirname( fileURLToPath( import.meta.url ) ), '..', 'static', 'fonts' );
+
+/**
+ * Register the bundled fonts, and the extra fonts (e.g. for translation scripts) from the
+ * comma-separated FONTS_DIR directories. Each .ttf or .otf file there is registered under its file
+ * name without the extension. Every thread that draws text registers them.
+ *
+ * @param {Object} env - Environment variables (usually process.env).
+ */
+export function registerFonts( env ) {
+    registerFont( path.join( FONTS_DIR, 'UthmanicHafs1Ver13.otf' ), { family: 'UthmanicHafs' } );
+    registerFont( path.join( FONTS_DIR, 'ClashDisplay-Regular.otf' ), { family: 'ClashDisplay' } );
+
+    for ( const directory of parseList( env.FONTS_DIR ) ) {
+        try {
+            for ( const file of fs.readdirSync( directory ).filter( ( name ) => /\.(ttf|otf)$/i.test( name ) ) ) {
+                registerFont( path.join( directory, file ), { family: path.parse( file ).name } );
+            }
+        } catch ( err ) {
+            console.error( `Failed to register fonts from ${ directory }:`, err );
+        }
+    }
+}
+
+/**
+ * Apply the layout's text shadow, if any, to a canvas context.
+ */
+function applyTextShadow( ctx, layout ) {
+    if ( !layout.textShadow ) return;
+    ctx.shadowColor = layout.textShadow.color;
+    ctx.shadowBlur = layout.textShadow.blur;
+    ctx.shadowOffsetX = layout.textShadow.offsetX;
+    ctx.shadowOffsetY = layout.textShadow.offsetY;
+}
+
+/**
+ * Draw a line of text, with the layout's outline if it has one.
+ */
+function drawTextLine( ctx, text, x, y, layout ) {
+    if ( layout.textOutline ) {
+        ctx.strokeStyle = layout.textOutline.color;
+        ctx.lineWidth = layout.textOutline.width;
+        ctx.lineJoin = 'round';
+        ctx.strokeText( text, x, y );
+    }
+    ctx.fillText( text, x, y );
+}
+
+/**
+ * Wrap text into lines that fit within maxWidth, breaking at spaces.
+ *
+ * @returns {Array<Array<string>>} - The words of each line.
+ */
+export function wrapText( ctx, text, maxWidth ) {
+    let line = '';
+    let lineWords = [];
+    const lines = [];
+
+    for ( const word of text.split( ' ' ) ) {
+        const testLine = line + word + ' ';
+        const metrics = ctx.measureText( testLine );
+        if ( metrics.width > maxWidth && line !== '' ) {
+            lines.push( lineWords );
+            line = word + ' ';
+            lineWords = [word];
+        } else {
+            line = testLine;
+            lineWords.push( word );
+        }
+    }
+    lines.push( lineWords );
+
+    return lines;
+}
+
+/**
+ * Render Arabic text into a PNG image.
+ * When a highlight is given, a second image with every word in the highlight color is written to
+ * highlight.outputPath, so single words can be cropped out of it while they are recited.
+ * When tajweed is given ({ words, colors }, see lib/tajweed.js), each rule's letters are drawn in its color.
+ *
+ * @returns {Promise<Object>} - The text height and the box of each word within the image.
+ */
+export async function renderArabicTextImage( text, outputPath, layout, highlight = null, tajweed = null ) {
+    const width = layout.textWidth;
+    const font = `${ layout.arabicFontSize }px "${ layout.arabicFontFamily }"`;
+    const ctx = createCanvas( width, 10 ).getContext( '2d' );
+
+    ctx.font = font;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    const wordsPerLine = wrapText( ctx, text, width * 0.9 );
+    const lines = wordsPerLine.map( ( words ) => words.join( ' ' ) + ' ' );
+
+    const lineHeight = layout.arabicLineHeight;
+    const totalHeight = lines.length * lineHeight;
+    const canvasHeight = totalHeight + layout.textPadding * 2;
+    const startY = layout.textPadding + lineHeight / 2;
+
+    // Locate each word. Lines are centered and read right to left, so the first word starts at the right edge
+    const wordBoxes = [];
+    const tajweedBoxes = [];
+    for ( let i = 0; i < lines.length; i++ ) {
+        let right = ( width + ctx.measureText( lines[i] ).width ) / 2;
+        for ( const word of wordsPerLine[i] ) {
+            const wordWidth = ctx.measureText( word ).width;
+            const y = startY + i * lineHeight - lineHeight / 2;
+            wordBoxes.push( { x: right - wordWidth, y, width: wordWidth, height: lineHeight } );
+
+            // Locate each tajweed run from the width of the text before it. A zero-width joiner keeps
+            // the last letter measured in its joined form, as it is drawn within the word
+            const prefixWidth = ( length ) => length === 0 ? 0
+                : ctx.measureText( word.slice( 0, length ) + ( length < word.length ? '\u200D' : '' ) ).width;
+            for ( const run of tajweed?.words[wordBoxes.length - 1] || [] ) {
+                const x = right - prefixWidth( run.end );
+                tajweedBoxes.push( { line: i, x, y, width: right - prefixWidth( run.start ) - x, color: tajweed.colors[run.rule] } );
+            }
+            right -= ctx.measureText( word + ' ' ).width;
+        }
+    }
+
+    const drawText = ( fillStyle, path, coloredBoxes = [] ) => {
+        const canvas = createCanvas( width, canvasHeight );
+        const finalCtx = canvas.getContext( '2d' );
+
+        finalCtx.clearRect( 0, 0, width, canvasHeight );
+        finalCtx.font = font;
+        finalCtx.textAlign = 'center';
+        finalCtx.textBaseline = 'middle';
+        finalCtx.fillStyle = fillStyle;
+        applyTextShadow( finalCtx, layout );
+
+        for ( let i = 0; i < lines.length; i++ ) {
+            drawTextLine( finalCtx, lines[i], width / 2, startY + i * lineHeight, layout );
+        }
+
+        // Redraw the whole line clipped to each colored run, so the letters stay joined as in the line
+        for ( const box of coloredBoxes ) {
+            finalCtx.save();
+            finalCtx.beginPath();
+            finalCtx.rect( box.x, box.y, box.width, lineHeight );
+            finalCtx.clip();
+            finalCtx.shadowColor = 'transparent';
+            finalCtx.fillStyle = box.color;
+            drawTextLine( finalCtx, lines[box.line], width / 2, startY + box.line * lineHeight, layout );
+            finalCtx.restore();
+        }
+
+        fs.writeFileSync( path, canvas.toBuffer( 'image/png' ) );
+    };
+
+    drawText( layout.arabicColor, outputPath, tajweedBoxes );
+    if ( highlight ) drawText( highlight.color, highlight.outputPath );
+
+    return { height: totalHeight, wordBoxes };
+}
+
+/**
+ * Render an ayah's translations into a PNG image, stacked in the layout's track order.
+ * Each track is drawn in its own font, color and text direction; tracks without text are left out.
+ *
+ * @param {Object} translations - Translation text by track name.
+ * @returns {Promise<number>} - The text height.
+ */
+export async function renderTranslationTextImage( translations, outputPath, layout ) {
+    const width = layout.textWidth;
+    const ctx = createCanvas( width, 10 ).getContext( '2d' );
+
+    // Each line starts with a direction mark, so right-to-left scripts are laid out right to left
+    // even when a line starts with a number or a Latin word
+    const blocks = [];
+    for ( const track of layout.translationTracks ) {
+        const text = translations[track.name];
+        if ( !text ) continue;
+
+        const font = `${ track.fontSize }px "${ track.fontFamily }"`;
+        const mark = track.direction === 'rtl' ? '\u200F' : '\u200E';
+        ctx.font = font;
+        const lines = wrapText( ctx, text, width * 0.9 ).map( ( words ) => mark + words.join( ' ' ) + ' ' );
+        blocks.push( { track, font, lines } );
+    }
+
+    const totalHeight = blocks.reduce( ( height, { track, lines } ) => height + lines.length * track.lineHeight, 0 )
+        + Math.max( 0, blocks.length - 1 ) * layout.translationGap;
+    const canvasHeight = totalHeight + layout.textPadding * 2;
+
+    const canvas = createCanvas( width, canvasHeight );
+    const finalCtx = canvas.getContext( '2d' );
+
+    finalCtx.clearRect( 0, 0, width, canvasHeight );
+    finalCtx.textAlign = 'center';
+    finalCtx.textBaseline = 'middle';
+    applyTextShadow( finalCtx, layout );
+
+    let y = layout.textPadding;
+    for ( const { track, font, lines } of blocks ) {
+        finalCtx.font = font;
+        finalCtx.fillStyle = track.color;
+        for ( const line of lines ) {
+            drawTextLine( finalCtx, line, width / 2, y + track.lineHeight / 2, layout );
+            y += track.lineHeight;
+        }
+        y += layout.translationGap;
+    }
+
+    fs.writeFileSync( outputPath, canvas.toBuffer( 'image/png' ) );
+
+    return totalHeight;
+}
+
+/**
+ * Render a title card into a PNG image, with the same fonts, colors and effects as the ayat.
+ *
+ * @param {Array<Object>} lines - The { text, font, scale } of each line (see lib/cards.js).
+ * @returns {Promise<number>} - The text height.
+ */
+export async function renderCardImage( lines, outputPath, layout ) {
+    const width = layout.textWidth;
+    const ctx = createCanvas( width, 10 ).getContext( '2d' );
+
+    // Wrap each line in its own font and size
+    const rows = [];
+    for ( const { text, font, scale } of lines ) {
+        const arabic = font === 'arabic';
+        const fontSize = Math.round( ( arabic ? layout.arabicFontSize : layout.translationFontSize ) * scale );
+        const lineFont = `${ fontSize }px "${ arabic ? layout.arabicFontFamily : layout.translationFontFamily }"`;
+        const lineHeight = Math.round( ( arabic ? layout.arabicLineHeight : layout.translationLineHeight ) * scale );
+        const color = arabic ? layout.arabicColor : layout.translationColor;
+
+        ctx.font = lineFont;
+        for ( const words of wrapText( ctx, text, width * 0.9 ) ) {
+            rows.push( { text: words.join( ' ' ), font: lineFont, lineHeight, color } );
+        }
+    }
+
+    const totalHeight = rows.reduce( ( sum, row ) => sum + row.lineHeight, 0 );
+    const canvasHeight = totalHeight + layout.textPadding * 2;
+    const canvas = createCanvas( width, canvasHeight );
+    const finalCtx = canvas.getContext( '2d' );
+
+    finalCtx.clearRect( 0, 0, width, canvasHeight );
+    finalCtx.textAlign = 'center';
+    finalCtx.textBaseline = 'middle';
+    applyTextShadow( finalCtx, layout );
+
+    let y = layout.textPadding;
+    for ( const row of rows ) {
+        finalCtx.font = row.font;
+        finalCtx.fillStyle = row.color;
+        drawTextLine( finalCtx, row.text, width / 2, y + row.lineHeight / 2, layout );
+        y += row.lineHeight;
+    }
+
+    fs.writeFileSync( outputPath, canvas.toBuffer( 'image/png' ) );
+
+    return totalHeight;
+}
+
+/**
+ * Render the tajweed legend into a PNG image: a colored dot and the name of each rule,
+ * wrapped into centered rows.
+ *
+ * @param {Array<Object>} legend - The { name, color } of each rule (see lib/tajweed.js).
+ * @returns {Promise<number>} - The image height.
+ */
+export async function renderTajweedLegendImage( legend, outputPath, layout ) {
+    const width = layout.textWidth;
+    const font = `${ layout.legendFontSize }px "${ layout.translationFontFamily }"`;
+    const lineHeight = Math.round( layout.legendFontSize * 1.6 );
+    const itemGap = layout.legendFontSize;
+    const ctx = createCanvas( width, 10 ).getContext( '2d' );
+    ctx.font = font;
+
+    // Fill rows with as many items as fit
+    const rows = [[]];
+    let rowWidth = 0;
+    for ( const item of legend ) {
+        const itemWidth = ctx.measureText( `● ${ item.name }` ).width;
+        if ( rows[rows.length - 1].length > 0 && rowWidth + itemGap + itemWidth > width * 0.9 ) {
+            rows.push( [] );
+            rowWidth = 0;
+        }
+        rowWidth += ( rows[rows.length - 1].length > 0 ? itemGap : 0 ) + itemWidth;
+        rows[rows.length - 1].push( { ...item, width: itemWidth } );
+    }
+
+    const canvasHeight = rows.length * lineHeight;
+    const canvas = createCanvas( width, canvasHeight );
+    const finalCtx = canvas.getContext( '2d' );
+
+    finalCtx.clearRect( 0, 0, width, canvasHeight );
+    finalCtx.font = font;
+    finalCtx.textAlign = 'left';
+    finalCtx.textBaseline = 'middle';
+    applyTextShadow( finalCtx, layout );
+
+    rows.forEach( ( row, i ) => {
+        const rowWidth = row.reduce( ( sum, item ) => sum + item.width, 0 ) + itemGap * ( row.length - 1 );
+        let x = ( width - rowWidth ) / 2;
+        for ( const item of row ) {
+            finalCtx.fillStyle = item.color;
+            finalCtx.fillText( '●', x, i * lineHeight + lineHeight / 2 );
+            finalCtx.fillStyle = layout.translationColor;
+            finalCtx.fillText( ` ${ item.name }`, x + ctx.measureText( '●' ).width, i * lineHeight + lineHeight / 2 );
+            x += item.width + itemGap;
+        }
+    } );
+
+    fs.writeFileSync( outputPath, canvas.toBuffer( 'image/png' ) );
+
+    return canvasHeight;
+}
+
+// The renderers by the name they are run under in the worker pool
+export const TEXT_IMAGE_RENDERERS = {
+    arabic: renderArabicTextImage,
+    translation: renderTranslationTextImage,
+    card: renderCardImage,
+    legend: renderTajweedLegendImage
+};
@@ -0,0 +1,20 @@
+import { parentPort } from 'worker_threads';
+import { registerFonts, TEXT_IMAGE_RENDERERS } from './text-images.js';
+
+/**
+ * Worker thread that draws text images for the pool in main.js (see lib/concurrency.js), started when
+ * RENDER_WORKERS is above 0. It needs canvas 3 or later, as canvas 2 can't be loaded in a worker thread.
+ * Each message is { task, args }, where task names one of TEXT_IMAGE_RENDERERS.
+ */
+
+registerFonts( process.env );
+
+parentPort.on( 'message', async ( { task, args } ) => {
+    try {
+        const render = TEXT_IMAGE_RENDERERS[task];
+        if ( !render ) throw new Error( `Unknown text image: ${ task }` );
+        parentPort.postMessage( { result: await render( ...args ) } );
+    } catch ( err ) {
+        parentPort.postMessage( { error: err instanceof Error ? err.message : String( err ) } );
+    }
+} );
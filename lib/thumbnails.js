@@ -0,0 +1,90 @@
+/**
+ * Cover images and animated previews made alongside each video: a poster JPEG of one ayah or of a
+ * custom title card, and a short, small looping GIF or WebP cut from the rendered video.
+ */
+
+export const ANIMATED_PREVIEW_FORMATS = ['gif', 'webp'];
+
+const DEFAULT_ANIMATED_PREVIEW = { format: 'gif', duration: 3, width: 320, fps: 12 };
+
+// Limits for the animated preview, and the poster title
+const MAX_PREVIEW_DURATION = 10;
+const MIN_PREVIEW_WIDTH = 64;
+const MAX_PREVIEW_WIDTH = 720;
+const MAX_PREVIEW_FPS = 30;
+const MAX_TITLE_LENGTH = 300;
+
+/**
+ * Resolve the request's poster option: true (the first ayah), { ayah } (an index into the ayat)
+ * or { title } (a custom title card). Throws when an option is invalid.
+ *
+ * @param {boolean|Object} poster - The request's poster option.
+ * @param {Array} ayat - The ayat, to check the index against.
+ * @returns {Object|null} - { ayah } or { title }, or null when no poster is made.
+ */
+export function resolvePoster( poster, ayat = [] ) {
+    if ( !poster ) return null;
+
+    const options = poster === true ? {} : poster;
+    if ( typeof options !== 'object' || Array.isArray( options ) ) throw new Error( 'poster must be true or an object' );
+    if ( options.ayah !== undefined && options.title !== undefined ) throw new Error( 'poster takes either an ayah or a title, not both' );
+
+    if ( options.title !== undefined ) {
+        if ( typeof options.title !== 'string' || options.title.trim() === '' ) throw new Error( 'poster.title must be a non-empty string' );
+        if ( options.title.length > MAX_TITLE_LENGTH ) throw new Error( `poster.title must be at most ${ MAX_TITLE_LENGTH } characters` );
+        return { title: options.title };
+    }
+
+    const ayah = options.ayah ?? 0;
+    if ( !Number.isInteger( ayah ) || ayah < 0 || ayah >= ayat.length ) {
+        throw new Error( `poster.ayah must be the index of one of the ayat (0 to ${ ayat.length - 1 })` );
+    }
+    return { ayah };
+}
+
+/**
+ * Resolve the request's animated_preview option: true, or { format, start, duration, width, fps }.
+ * Throws when an option is invalid.
+ *
+ * @param {boolean|Object} preview - The request's animated_preview option.
+ * @returns {Object|null} - The options with defaults filled in (start stays undefined for the first ayah),
+ *   or null when no animated preview is made.
+ */
+export function resolveAnimatedPreview( preview ) {
+    if ( !preview ) return null;
+
+    const options = preview === true ? {} : preview;
+    if ( typeof options !== 'object' || Array.isArray( options ) ) throw new Error( 'animated_preview must be true or an object' );
+
+    const { format, duration, width, fps } = { ...DEFAULT_ANIMATED_PREVIEW, ...options };
+    if ( !ANIMATED_PREVIEW_FORMATS.includes( format ) ) {
+        throw new Error( `animated_preview.format must be one of ${ ANIMATED_PREVIEW_FORMATS.join( ', ' ) }` );
+    }
+    if ( options.start !== undefined && ( typeof options.start !== 'number' || options.start < 0 ) ) {
+        throw new Error( 'animated_preview.start must be a number of seconds from the start of the video' );
+    }
+    if ( typeof duration !== 'number' || duration <= 0 || duration > MAX_PREVIEW_DURATION ) {
+        throw new Error( `animated_preview.duration must be a number of seconds up to ${ MAX_PREVIEW_DURATION }` );
+    }
+    if ( !Number.isInteger( width ) || width < MIN_PREVIEW_WIDTH || width > MAX_PREVIEW_WIDTH ) {
+        throw new Error( `animated_preview.width must be a whole number of pixels between ${ MIN_PREVIEW_WIDTH } and ${ MAX_PREVIEW_WIDTH }` );
+    }
+    if ( !Number.isInteger( fps ) || fps < 1 || fps > MAX_PREVIEW_FPS ) {
+        throw new Error( `animated_preview.fps must be a whole number between 1 and ${ MAX_PREVIEW_FPS }` );
+    }
+
+    return { format, start: options.start, duration, width, fps };
+}
+
+/**
+ * Build the video filter for an animated preview: fewer frames, scaled down, and for GIFs a palette
+ * made from the clip itself so the colors hold up.
+ *
+ * @param {Object} preview - The resolved animated preview.
+ * @returns {string} - Filter graph for the clip, from input 0 to [preview].
+ */
+export function buildAnimatedPreviewFilter( { format, width, fps } ) {
+    const scaled = `[0:v]fps=${ fps },scale=${ width }:-2:flags=lanczos`;
+    if ( format === 'webp' ) return `${ scaled }[preview]`;
+    return `${ scaled },split[frames][palette_source];[palette_source]palettegen=stats_mode=diff[palette];[frames][palette]paletteuse=dither=bayer:bayer_scale=3[preview]`;
+}
@@ -0,0 +1,142 @@
+/**
+ * Transitions for the text overlays: how each ayah's text appears and disappears.
+ * Fades are rendered as short clips of the text image whose frames are retimed along the
+ * easing curve, so any easing costs no more than a plain linear fade.
+ */
+
+export const TRANSITION_TYPES = ['none', 'fade', 'slide_up', 'crossfade'];
+
+export const DEFAULT_TRANSITION = { type: 'none', duration: 0.5, easing: 'ease-in-out' };
+
+// Limits for the transition duration, in seconds
+const MIN_DURATION = 0.1;
+const MAX_DURATION = 2;
+
+// Frame rate of the fade clips
+const FRAME_RATE = 30;
+
+// Easing curves as ffmpeg expressions of the progress u (0 to 1), and their inverses
+const EASINGS = {
+    'linear': {
+        curve: ( u ) => u,
+        inverse: ( v ) => v
+    },
+    'ease-in': {
+        curve: ( u ) => `(${ u })*(${ u })`,
+        inverse: ( v ) => `sqrt(${ v })`
+    },
+    'ease-out': {
+        curve: ( u ) => `(1-(1-(${ u }))*(1-(${ u })))`,
+        inverse: ( v ) => `(1-sqrt(1-(${ v })))`
+    },
+    'ease-in-out': {
+        curve: ( u ) => `if(lt(${ u },0.5),2*(${ u })*(${ u }),1-2*(1-(${ u }))*(1-(${ u })))`,
+        inverse: ( v ) => `if(lt(${ v },0.5),sqrt((${ v })/2),1-sqrt((1-(${ v }))/2))`
+    }
+};
+
+export const EASING_NAMES = Object.keys( EASINGS );
+
+/**
+ * Resolve a transition option (a type name or { type, duration, easing }) and fill in defaults.
+ * Throws when an option is invalid.
+ *
+ * @param {string|Object} transition - The request's transition.
+ * @returns {Object} - The { type, duration, easing } to use.
+ */
+export function resolveTransition( transition = DEFAULT_TRANSITION.type ) {
+    const options = typeof transition === 'string' ? { type: transition } : transition;
+    if ( !options || typeof options !== 'object' || Array.isArray( options ) ) {
+        throw new Error( 'transition must be a transition type or an object' );
+    }
+
+    const {
+        type = DEFAULT_TRANSITION.type,
+        duration = DEFAULT_TRANSITION.duration,
+        easing = DEFAULT_TRANSITION.easing
+    } = options;
+
+    if ( !TRANSITION_TYPES.includes( type ) ) {
+        throw new Error( `transition.type must be one of ${ TRANSITION_TYPES.join( ', ' ) }` );
+    }
+    if ( typeof duration !== 'number' || duration < MIN_DURATION || duration > MAX_DURATION ) {
+        throw new Error( `transition.duration must be a number of seconds between ${ MIN_DURATION } and ${ MAX_DURATION }` );
+    }
+    if ( !EASINGS[easing] ) {
+        throw new Error( `transition.easing must be one of ${ EASING_NAMES.join( ', ' ) }` );
+    }
+
+    return { type, duration, easing };
+}
+
+/**
+ * Work out when each screen of text is visible and how long it takes to appear and disappear.
+ * Crossfades extend each screen by half the transition on both sides, so neighbours overlap.
+ * Transitions are shortened to half the screen's duration when the screen is short.
+ *
+ * @param {Array<Object>} screens - The { start, end } of each screen, in seconds.
+ * @param {Object} transition - The resolved transition.
+ * @param {number} totalDuration - Length of the video, in seconds.
+ * @returns {Array<Object>} - The { start, end, fadeIn, fadeOut } of each screen.
+ */
+export function getTransitionWindows( screens, { type, duration }, totalDuration ) {
+    return screens.map( ( screen ) => {
+        if ( type === 'none' ) return { start: screen.start, end: screen.end, fadeIn: 0, fadeOut: 0 };
+
+        let { start, end } = screen;
+        if ( type === 'crossfade' ) {
+            start = Math.max( 0, start - duration / 2 );
+            end = Math.min( totalDuration, end + duration / 2 );
+        }
+        const length = Math.min( duration, ( end - start ) / 2 );
+
+        return { start, end, fadeIn: length, fadeOut: length };
+    } );
+}
+
+/**
+ * Build the filters that overlay a text image on [base] for its window, with the transition.
+ *
+ * @param {Object} options
+ * @param {string} options.base - Label of the video to draw on.
+ * @param {string} options.image - Label of the text image input, such as '4:v'.
+ * @param {string} options.output - Label for the result.
+ * @param {string} options.x - Overlay x position (a number or an overlay expression).
+ * @param {number} options.y - Overlay y position once the text is in place.
+ * @param {Object} options.window - The screen's window from getTransitionWindows.
+ * @param {Object} options.transition - The resolved transition.
+ * @param {number} options.slideDistance - How far slide_up text travels, in pixels.
+ * @returns {Array<string>} - Filter graph parts.
+ */
+export function buildTransitionOverlay( { base, image, output, x, y, window, transition, slideDistance } ) {
+    const { start, end, fadeIn, fadeOut } = window;
+    if ( fadeIn === 0 && fadeOut === 0 ) {
+        return [`[${ base }][${ image }]overlay=x=${ x }:y=${ y }:enable='between(t,${ start },${ end })'[${ output }]`];
+    }
+
+    const { curve, inverse } = EASINGS[transition.easing];
+    const slide = transition.type === 'slide_up';
+
+    // A clip of the image fading in or out, with frame n shown at from + length * inverse(n / frames),
+    // so its opacity follows the easing curve
+    const fadeClip = ( label, direction, from, length ) => {
+        const frames = Math.max( 2, Math.round( length * FRAME_RATE ) );
+        return `[${ label }]loop=loop=${ frames - 1 }:size=1,format=rgba,fade=t=${ direction }:s=0:n=${ frames }:alpha=1,settb=AVTB,`
+            + `setpts='(${ from }+${ length }*${ inverse( `N/${ frames }` ) })/TB'[${ label }_clip]`;
+    };
+    const progress = ( from, length ) => `clip((t-${ from })/${ length },0,1)`;
+    const holdStart = start + fadeIn;
+    const holdEnd = end - fadeOut;
+
+    const yIn = slide ? `'${ y }+${ slideDistance }*(1-${ curve( progress( start, fadeIn ) ) })'` : y;
+    const yOut = slide ? `'${ y }-${ slideDistance }*${ curve( progress( holdEnd, fadeOut ) ) }'` : y;
+
+    return [
+        `[${ image }]split=3[${ output }_in][${ output }_hold][${ output }_out]`,
+        fadeClip( `${ output }_in`, 'in', start, fadeIn ),
+        fadeClip( `${ output }_out`, 'out', holdEnd, fadeOut ),
+        `[${ base }][${ output }_in_clip]overlay=x=${ x }:y=${ yIn }:enable='gte(t,${ start })*lt(t,${ holdStart })'[${ output }_a]`,
+        `[${ output }_a][${ output }_hold]overlay=x=${ x }:y=${ y }:enable='gte(t,${ holdStart })*lt(t,${ holdEnd })'[${ output }_b]`,
+        `[${ output }_b][${ output }_out_clip]overlay=x=${ x }:y=${ yOut }:enable='between(t,${ holdEnd },${ end })'[${ output }]`
+    ];
+}
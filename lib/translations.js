@@ -0,0 +1,81 @@
+import { TRANSLATIONS } from './quran.js';
+
+/**
+ * Translation tracks: which translations are shown under the Arabic text, in what order,
+ * and the font and text direction of each.
+ */
+
+// Languages written right to left, and those of them written in Arabic script
+export const RTL_LANGUAGES = ['ar', 'ur', 'fa', 'ps', 'sd', 'ug', 'ku', 'dv', 'he', 'yi'];
+const ARABIC_SCRIPT_LANGUAGES = ['ar', 'ur', 'fa', 'ps', 'sd', 'ug', 'ku'];
+
+// Default font for Arabic-script translations, which ClashDisplay can't shape (from the fonts-noto-core package)
+export const ARABIC_SCRIPT_FONT_FAMILY = 'Noto Naskh Arabic';
+
+export const TEXT_DIRECTIONS = ['ltr', 'rtl'];
+
+// Name of the track holding an ayah's single `translation` string
+export const DEFAULT_TRACK_NAME = 'translation';
+
+const MAX_TRACKS = 4;
+
+/**
+ * Get an ayah's translations as an object mapping track names to text. An ayah has either
+ * `translations` ({ en: '...', ur: '...' }) or a single `translation` string.
+ */
+export function getAyahTranslations( ayah = {} ) {
+    if ( ayah.translations && typeof ayah.translations === 'object' && !Array.isArray( ayah.translations ) ) {
+        return ayah.translations;
+    }
+    return { [DEFAULT_TRACK_NAME]: ayah.translation ?? '' };
+}
+
+/**
+ * Resolve the request's translation tracks, from top to bottom. Each track is a name from the
+ * ayat's `translations`, or an object with the name and the language, direction and text style
+ * options (font_family, font_size, line_height, color) to draw it with. Without tracks, the first
+ * ayah's translations are shown in order. Throws when a track is invalid.
+ *
+ * @param {Array} tracks - The request's translation tracks.
+ * @param {Array} ayat - The ayat, used for the default tracks.
+ * @returns {Array<Object>} - Each track's { name, direction } and style overrides.
+ */
+export function resolveTranslationTracks( tracks, ayat = [] ) {
+    if ( tracks === undefined ) tracks = Object.keys( getAyahTranslations( ayat[0] ) );
+    if ( !Array.isArray( tracks ) || tracks.length === 0 || tracks.length > MAX_TRACKS ) {
+        throw new Error( `translations must be a list of 1 to ${ MAX_TRACKS } translation tracks` );
+    }
+
+    return tracks.map( ( track, i ) => {
+        const options = typeof track === 'string' ? { name: track } : track;
+        if ( !options || typeof options !== 'object' || typeof options.name !== 'string' || !/^[\w-]+$/.test( options.name ) ) {
+            throw new Error( `translations[${ i }] must be a track name, or an object with a name (letters, digits, _ and -)` );
+        }
+
+        // Translation names such as "maududi" map to their language
+        const language = options.language ?? TRANSLATIONS[options.name] ?? options.name;
+        const direction = options.direction ?? ( RTL_LANGUAGES.includes( language ) ? 'rtl' : 'ltr' );
+        if ( !TEXT_DIRECTIONS.includes( direction ) ) {
+            throw new Error( `translations[${ i }].direction must be one of ${ TEXT_DIRECTIONS.join( ', ' ) }` );
+        }
+
+        const resolved = { name: options.name, direction };
+        if ( options.font_family !== undefined || ARABIC_SCRIPT_LANGUAGES.includes( language ) ) {
+            resolved.font_family = options.font_family ?? ARABIC_SCRIPT_FONT_FAMILY;
+            if ( typeof resolved.font_family !== 'string' ) throw new Error( `translations[${ i }].font_family must be a string` );
+        }
+        for ( const option of ['font_size', 'line_height'] ) {
+            if ( options[option] === undefined ) continue;
+            if ( typeof options[option] !== 'number' || options[option] <= 0 || options[option] > 500 ) {
+                throw new Error( `translations[${ i }].${ option } must be a number between 0 and 500` );
+            }
+            resolved[option] = options[option];
+        }
+        if ( options.color !== undefined ) {
+            if ( typeof options.color !== 'string' ) throw new Error( `translations[${ i }].color must be a string` );
+            resolved.color = options.color;
+        }
+
+        return resolved;
+    } );
+}
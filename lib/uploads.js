@@ -0,0 +1,86 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Store for files uploaded ahead of a render (audio, backgrounds), referenced by upload ID.
+ *
+ * @param {Object} options - Store options.
+ * @param {string} options.directory - Directory the uploads are kept in.
+ * @param {number} options.maxBytes - Largest accepted upload.
+ * @param {number} options.retentionSeconds - How long uploads are kept.
+ * @returns {Object} - The store with save() and getPath() methods.
+ */
+export function createUploadStore( { directory, maxBytes, retentionSeconds } ) {
+    const root = path.resolve( directory );
+
+    /**
+     * Delete uploads older than the retention period.
+     */
+    function prune() {
+        if ( !fs.existsSync( root ) ) return;
+
+        const cutoff = Date.now() - retentionSeconds * 1000;
+        for ( const name of fs.readdirSync( root ) ) {
+            const filePath = path.join( root, name );
+            try {
+                if ( fs.statSync( filePath ).mtimeMs < cutoff ) fs.rmSync( filePath, { force: true } );
+            } catch ( err ) {
+                console.error( `Failed to prune upload ${ name }:`, err );
+            }
+        }
+    }
+
+    /**
+     * Save a request body stream as an upload. Rejects when it is larger than maxBytes.
+     *
+     * @param {Stream} stream - The upload's contents.
+     * @param {string} uploadId - ID to store it under.
+     * @returns {Promise<Object>} - The { uploadId, size } of the stored upload.
+     */
+    async function save( stream, uploadId ) {
+        prune();
+        fs.mkdirSync( root, { recursive: true } );
+
+        const filePath = path.join( root, uploadId );
+        let size = 0;
+
+        await new Promise( ( resolve, reject ) => {
+            const file = fs.createWriteStream( filePath );
+            let failed = false;
+            const fail = ( err ) => {
+                if ( failed ) return;
+                failed = true;
+                stream.unpipe( file );
+                // Remove the partial file once the stream has let go of it
+                file.once( 'close', () => fs.rmSync( filePath, { force: true } ) );
+                file.destroy();
+                reject( err );
+            };
+
+            stream.on( 'data', ( chunk ) => {
+                size += chunk.length;
+                if ( size > maxBytes ) fail( new Error( `Upload exceeds the maximum size of ${ maxBytes } bytes` ) );
+            } );
+            stream.on( 'error', fail );
+            file.on( 'error', fail );
+            file.on( 'finish', resolve );
+            stream.pipe( file );
+        } );
+
+        return { uploadId, size };
+    }
+
+    /**
+     * Get the path of an upload. Throws when the upload doesn't exist.
+     */
+    function getPath( uploadId ) {
+        if ( typeof uploadId !== 'string' || !/^[\w-]+$/.test( uploadId ) ) throw new Error( `Invalid upload ID: ${ uploadId }` );
+
+        const filePath = path.join( root, uploadId );
+        if ( !fs.existsSync( filePath ) ) throw new Error( `Upload ${ uploadId } not found (it may have expired)` );
+
+        return filePath;
+    }
+
+    return { save, getPath };
+}
@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+
+/**
+ * Completion webhooks: a signed POST to the request's webhook_url when a video job succeeds or fails.
+ * Each delivery is retried with exponential backoff, and every attempt is kept for inspection.
+ *
+ * Receivers verify a call by computing HMAC-SHA256( secret, `${ timestamp }.${ body }` ) and comparing it
+ * with the X-Webhook-Signature header (sha256=<hex>), where timestamp is the X-Webhook-Timestamp header.
+ */
+
+export const WEBHOOK_EVENTS = { done: 'video.completed', failed: 'video.failed' };
+
+// Loopback, private, link-local, shared, multicast and reserved addresses, which webhooks aren't sent to
+// unless their host is allowlisted
+const PRIVATE_ADDRESSES = new net.BlockList();
+for ( const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+] ) {
+    PRIVATE_ADDRESSES.addSubnet( network, prefix, 'ipv4' );
+}
+for ( const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]] ) {
+    PRIVATE_ADDRESSES.addSubnet( network, prefix, 'ipv6' );
+}
+
+/**
+ * Check whether an IP address is loopback, private or otherwise not on the public internet.
+ * IPv4 addresses mapped into IPv6 (::ffff:a.b.c.d) are checked as IPv4.
+ */
+export function isPrivateAddress( address ) {
+    return PRIVATE_ADDRESSES.check( address, net.isIPv6( address ) ? 'ipv6' : 'ipv4' );
+}
+
+/**
+ * Throw when a host is, or resolves to, a private address (see isPrivateAddress).
+ */
+async function checkPublicHost( hostname ) {
+    const host = hostname.replace( /^\[|\]$/g, '' );
+    const addresses = net.isIP( host ) ? [{ address: host }] : await dns.promises.lookup( host, { all: true } );
+    const blocked = addresses.find( ( { address } ) => isPrivateAddress( address ) );
+    if ( blocked ) throw new Error( `Webhook host ${ hostname } resolves to the private address ${ blocked.address }` );
+}
+
+/**
+ * Sign a webhook body.
+ *
+ * @returns {string} - The X-Webhook-Signature header value.
+ */
+export function signWebhook( secret, timestamp, body ) {
+    return `sha256=${ crypto.createHmac( 'sha256', secret ).update( `${ timestamp }.${ body }` ).digest( 'hex' ) }`;
+}
+
+/**
+ * Check a request's webhook_url. Throws when it isn't an http(s) URL on an allowed host.
+ * Without an allowlist, localhost and private IP addresses are refused; host names are checked
+ * against the addresses they resolve to when the webhook is sent.
+ *
+ * @param {string} webhookUrl - The request's webhook_url.
+ * @param {Array} allowedHosts - Hosts webhooks may be sent to, including their subdomains (any public host when empty).
+ * @returns {string} - The normalized URL.
+ */
+export function validateWebhookUrl( webhookUrl, allowedHosts = [] ) {
+    let url;
+    try {
+        url = new URL( webhookUrl );
+    } catch {
+        throw new Error( 'webhook_url must be an absolute URL' );
+    }
+    if ( url.protocol !== 'https:' && url.protocol !== 'http:' ) throw new Error( `Unsupported webhook_url protocol: ${ url.protocol }` );
+    if ( allowedHosts.length > 0 && !allowedHosts.some( ( host ) => url.hostname === host || url.hostname.endsWith( `.${ host }` ) ) ) {
+        throw new Error( `Webhook host ${ url.hostname } is not allowed` );
+    }
+    if ( allowedHosts.length === 0 ) {
+        const host = url.hostname.replace( /^\[|\]$/g, '' );
+        if ( host === 'localhost' || host.endsWith( '.localhost' ) || ( net.isIP( host ) && isPrivateAddress( host ) ) ) {
+            throw new Error( `Webhook host ${ url.hostname } is a private address` );
+        }
+    }
+    return url.href;
+}
+
+/**
+ * Build the payload sent when a job finishes.
+ *
+ * @param {string} jobId - The job (and video) ID.
+ * @param {Object} outcome - { result } from processVideoRequest, or { error } when the job failed.
+ */
+export function buildWebhookPayload( jobId, { result, error } ) {
+    const status = error ? 'failed' : 'done';
+    const payload = { event: WEBHOOK_EVENTS[status], jobId, videoId: result?.videoId ?? jobId, status };
+
+    if ( error ) {
+        payload.error = error;
+    } else {
+        Object.assign( payload, {
+            videoUrl: result.videoUrl,
+            presignedUrl: result.presignedUrl,
+            duration: result.timings?.duration,
+            timings: result.timings,
+            subtitles: result.subtitles,
+            poster: result.poster,
+            animatedPreview: result.animatedPreview
+        } );
+    }
+
+    return payload;
+}
+
+/**
+ * Create a webhook sender that keeps a record of its deliveries.
+ *
+ * @param {Object} options
+ * @param {string} options.secret - Shared secret the calls are signed with.
+ * @param {number} options.maxAttempts - Attempts per delivery before giving up (default: 5).
+ * @param {number} options.baseDelayMs - Delay before the first retry, doubled for each one after (default: 1000).
+ * @param {number} options.timeoutMs - How long to wait for the receiver to respond (default: 10000).
+ * @param {number} options.retentionSeconds - How long delivery records are kept (default: 3600).
+ * @param {boolean} options.publicOnly - Refuse hosts that resolve to private addresses, for when the
+ *   hosts aren't allowlisted (default: true).
+ * @returns {Object} - The sender with deliver() and getDelivery() methods.
+ */
+export function createWebhookSender( { secret, maxAttempts = 5, baseDelayMs = 1000, timeoutMs = 10000, retentionSeconds = 3600, publicOnly = true } ) {
+    const deliveries = new Map();
+
+    async function attempt( delivery, body ) {
+        const timestamp = Math.floor( Date.now() / 1000 );
+        const record = { attempt: delivery.attempts.length + 1, sentAt: new Date().toISOString() };
+        const started = Date.now();
+
+        try {
+            if ( publicOnly ) await checkPublicHost( new URL( delivery.url ).hostname );
+            const response = await fetch( delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'quran-api-webhooks',
+                    'X-Webhook-Id': delivery.id,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Timestamp': String( timestamp ),
+                    'X-Webhook-Signature': signWebhook( secret, timestamp, body )
+                },
+                body,
+                signal: AbortSignal.timeout( timeoutMs )
+            } );
+            record.status = response.status;
+            if ( !response.ok ) record.error = `Receiver responded with ${ response.status }`;
+        } catch ( err ) {
+            record.error = err instanceof Error ? err.message : String( err );
+        }
+
+        record.durationMs = Date.now() - started;
+        delivery.attempts.push( record );
+        return !record.error;
+    }
+
+    /**
+     * Send a payload to a URL, retrying until it is accepted or the attempts run out.
+     *
+     * @param {string} key - What the delivery is for (the job ID), to look it up with getDelivery().
+     * @param {string} url - The webhook URL.
+     * @param {Object} payload - The payload (see buildWebhookPayload).
+     * @returns {Promise<Object>} - The delivery record, once it has succeeded or failed.
+     */
+    async function deliver( key, url, payload ) {
+        const delivery = { id: crypto.randomUUID(), url, event: payload.event, state: 'pending', attempts: [] };
+        deliveries.set( key, delivery );
+        const body = JSON.stringify( payload );
+
+        for ( let i = 0; i < maxAttempts; i++ ) {
+            if ( i > 0 ) await new Promise( ( resolve ) => setTimeout( resolve, baseDelayMs * 2 ** ( i - 1 ) ) );
+            if ( await attempt( delivery, body ) ) {
+                delivery.state = 'delivered';
+                break;
+            }
+        }
+        if ( delivery.state === 'pending' ) {
+            delivery.state = 'failed';
+            console.error( `Webhook ${ delivery.id } to ${ url } failed after ${ delivery.attempts.length } attempts` );
+        }
+
+        setTimeout( () => deliveries.get( key ) === delivery && deliveries.delete( key ), retentionSeconds * 1000 ).unref();
+        return delivery;
+    }
+
+    /**
+     * Get the record of a delivery ({ id, url, event, state, attempts }), or null if it is unknown or expired.
+     */
+    function getDelivery( key ) {
+        return deliveries.get( key ) || null;
+    }
+
+    return { deliver, getDelivery };
+}
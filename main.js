@@ -1,13 +1,36 @@
 import http from 'http';
 import url from 'url';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
 import ffmpeg from 'fluent-ffmpeg';
-import { createCanvas, registerFont } from 'canvas';
+import { createCanvas } from 'canvas';
 import dotenv from 'dotenv';
+import { createJobQueue } from './lib/jobs.js';
+import { createStorage } from './lib/storage/index.js';
+import { resolveFormat, createLayout } from './lib/layout.js';
+import { resolveStyle, getThemes } from './lib/styles.js';
+import { toSrt, toWebVtt, buildTimingManifest } from './lib/subtitles.js';
+import { createQuranResolver, parseVerseRange, addAyahNumber, DEFAULT_RECITER } from './lib/quran.js';
+import { createUploadStore } from './lib/uploads.js';
+import { resolveMediaSource, fetchMediaSource, parseList } from './lib/sources.js';
+import { normalizeBackground, buildBackgroundInput } from './lib/backgrounds.js';
+import { DEFAULT_TRANSITION, resolveTransition, getTransitionWindows, buildTransitionOverlay } from './lib/transitions.js';
+import { resolveCards, getIntroLines, getOutroLines } from './lib/cards.js';
+import { DEFAULT_TRACK_NAME, getAyahTranslations, resolveTranslationTracks } from './lib/translations.js';
+import { TAJWEED_RULES, resolveTajweed, parseTajweed, getTajweedLegend } from './lib/tajweed.js';
+import { resolveRepeat, expandRepetitions, getCounterLabel } from './lib/repetition.js';
+import { resolvePoster, resolveAnimatedPreview, buildAnimatedPreviewFilter } from './lib/thumbnails.js';
+import { resolveAudioOptions, getSilenceDetectFilter, parseSilences, getSilenceTrim, getFileFilter, buildAudioMix } from './lib/audio.js';
+import { createWebhookSender, validateWebhookUrl, buildWebhookPayload } from './lib/webhooks.js';
+import { createAccessControl, createOwnerIndex } from './lib/access.js';
+import { REQUEST_SCHEMA, validateRenderRequest, createValidationError } from './lib/schema.js';
+import { createDownloadCache, createRenderIndex, fingerprintRequest, hashFiles } from './lib/cache.js';
+import { registerFonts, wrapText, TEXT_IMAGE_RENDERERS } from './lib/text-images.js';
+import { mapWithConcurrency, createWorkerPool, createLimiter } from './lib/concurrency.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -16,87 +39,166 @@ dotenv.config();
 const __filename = fileURLToPath( import.meta.url );
 const __dirname = dirname( __filename );
 
-// Register fonts
-const fontFileArabic = path.join( __dirname, 'static', 'fonts', 'UthmanicHafs1Ver13.otf' );
-registerFont( fontFileArabic, { family: 'UthmanicHafs' } );
-const fontFileTranslation = path.join( __dirname, 'static', 'fonts', 'ClashDisplay-Regular.otf' );
-registerFont( fontFileTranslation, { family: 'ClashDisplay' } );
-
-// R2 storage configuration
-const R2_ACCOUNT_ID = process.env.R2_ACCOUNT_ID || '';
-const R2_ACCESS_KEY_ID = process.env.R2_ACCESS_KEY_ID || '';
-const R2_SECRET_ACCESS_KEY = process.env.R2_SECRET_ACCESS_KEY || '';
-const R2_BUCKET_NAME = process.env.R2_BUCKET_NAME || '';
-
-// Initialize S3 client for Cloudflare R2
-const s3Client = new S3Client( {
-    region: 'auto', // Cloudflare R2 uses 'auto' as the region
-    endpoint: `https://${ R2_ACCOUNT_ID }.r2.cloudflarestorage.com`,
-    credentials: {
-        accessKeyId: R2_ACCESS_KEY_ID,
-        secretAccessKey: R2_SECRET_ACCESS_KEY,
-    },
+// Register the fonts; the text image workers register their own (see lib/text-images.js)
+registerFonts( process.env );
+
+// Storage backend (R2, S3-compatible or local filesystem) selected by STORAGE_DRIVER
+const storage = createStorage( process.env );
+
+// API keys, rate limits, render-minute quotas and allowed CORS origins (see lib/access.js), and the
+// key each video was made with, kept in VIDEO_OWNERS_DIR
+const access = createAccessControl( process.env );
+const videoOwners = createOwnerIndex( { directory: process.env.VIDEO_OWNERS_DIR || path.resolve( process.cwd(), 'owners' ) } );
+
+// Looks up verse text, translations and audio for requests that give a verse range
+const quranResolver = createQuranResolver( process.env );
+
+// Where recitation audio may come from: relative URLs use AUDIO_BASE_URL, full URLs must be on one of
+// AUDIO_ALLOWED_HOSTS (by default AUDIO_BASE_URL's host; '*' for any host), and local paths must be
+// inside one of MEDIA_LOCAL_DIRS
+const AUDIO_BASE_URL = process.env.AUDIO_BASE_URL || 'https://verses.quran.com/';
+const AUDIO_ALLOWED_HOSTS = process.env.AUDIO_ALLOWED_HOSTS === '*'
+    ? []
+    : parseList( process.env.AUDIO_ALLOWED_HOSTS || new URL( AUDIO_BASE_URL ).hostname );
+const MEDIA_LOCAL_DIRS = parseList( process.env.MEDIA_LOCAL_DIRS );
+
+// Hosts background videos and images may be downloaded from ('*' for any host)
+const BACKGROUND_ALLOWED_HOSTS = process.env.BACKGROUND_ALLOWED_HOSTS === '*'
+    ? []
+    : parseList( process.env.BACKGROUND_ALLOWED_HOSTS || 'cdn.pixabay.com' );
+
+// Files uploaded with POST /uploads, referenced by upload_id in requests
+const uploads = createUploadStore( {
+    directory: process.env.UPLOADS_DIR || path.resolve( process.cwd(), 'uploads' ),
+    maxBytes: parseInt( process.env.UPLOAD_MAX_BYTES || String( 200 * 1024 * 1024 ), 10 ),
+    retentionSeconds: parseInt( process.env.UPLOAD_RETENTION_SECONDS || '86400', 10 )
 } );
 
+// Downloaded audio and backgrounds are cached in CACHE_DIR up to DOWNLOAD_CACHE_MAX_BYTES (0 turns the cache off),
+// and finished renders are indexed there by request fingerprint unless RENDER_DEDUPE is false
+const CACHE_DIR = process.env.CACHE_DIR || path.resolve( process.cwd(), 'cache' );
+const DOWNLOAD_CACHE_MAX_BYTES = parseInt( process.env.DOWNLOAD_CACHE_MAX_BYTES || String( 2 * 1024 * 1024 * 1024 ), 10 );
+const downloadCache = DOWNLOAD_CACHE_MAX_BYTES > 0
+    ? createDownloadCache( { directory: path.join( CACHE_DIR, 'downloads' ), maxBytes: DOWNLOAD_CACHE_MAX_BYTES } )
+    : null;
+const renderIndex = process.env.RENDER_DEDUPE !== 'false' ? createRenderIndex( { directory: path.join( CACHE_DIR, 'renders' ) } ) : null;
+
+// Accepted recitation audio containers, keyed by ffprobe's format name, with the extension to use
+const AUDIO_FORMATS = {
+    'mp3': 'mp3',
+    'mov,mp4,m4a,3gp,3g2,mj2': 'm4a',
+    'aac': 'aac',
+    'ogg': 'ogg',
+    'wav': 'wav'
+};
+
+// Accepted background image codecs, with the extension ffmpeg needs to read them as images
+const IMAGE_CODECS = {
+    'mjpeg': 'jpg',
+    'png': 'png',
+    'webp': 'webp'
+};
+
+// Presigned URLs are signed with SigV4, which allows at most 7 days
+const MAX_PRESIGNED_URL_EXPIRY = 7 * 24 * 60 * 60;
+
 // Enable debug mode for development
 const debugMode = process.env.NODE_ENV !== 'production';
 
+// Longest recitation a video may have, in seconds, counting repeats and gaps
+const MAX_AUDIO_DURATION = parseInt( process.env.MAX_AUDIO_DURATION || '1800', 10 );
+
+// Parallel preparation: downloads at once, worker threads drawing the text images (0 draws them on
+// the main thread; canvas 2 can't be loaded in a worker thread, so workers need canvas 3 or later)
+// and ffmpeg threads per encode (0 shares the CPUs between the videos being made)
+const CPU_COUNT = os.cpus().length || 1;
+const DOWNLOAD_CONCURRENCY = Math.max( 1, parseInt( process.env.DOWNLOAD_CONCURRENCY || '6', 10 ) );
+const RENDER_WORKERS = parseInt( process.env.RENDER_WORKERS || '0', 10 );
+const FFMPEG_THREADS = parseInt( process.env.FFMPEG_THREADS || '0', 10 );
+const textImageWorkers = RENDER_WORKERS > 0
+    ? createWorkerPool( { file: new URL( './lib/text-worker.js', import.meta.url ), size: RENDER_WORKERS } )
+    : null;
+
+// Videos and previews being made right now, to share the CPUs between their encodes
+let activeRenders = 0;
+
+// Most previews rendered at once; the others wait their turn
+const PREVIEW_CONCURRENCY = Math.max( 1, parseInt( process.env.PREVIEW_CONCURRENCY || '1', 10 ) );
+const previewLimit = createLimiter( PREVIEW_CONCURRENCY );
+
+// Job queue configuration
+const MAX_CONCURRENT_JOBS = parseInt( process.env.MAX_CONCURRENT_JOBS || '1', 10 );
+const JOB_RETENTION_SECONDS = parseInt( process.env.JOB_RETENTION_SECONDS || '3600', 10 );
+
+// Completion webhooks: calls are signed with WEBHOOK_SECRET (webhook_url is refused without it),
+// may be limited to WEBHOOK_ALLOWED_HOSTS (otherwise private addresses are refused), and are retried
+// with exponential backoff
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const WEBHOOK_ALLOWED_HOSTS = parseList( process.env.WEBHOOK_ALLOWED_HOSTS );
+const webhooks = createWebhookSender( {
+    secret: WEBHOOK_SECRET,
+    maxAttempts: parseInt( process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10 ),
+    baseDelayMs: parseInt( process.env.WEBHOOK_RETRY_DELAY_MS || '1000', 10 ),
+    retentionSeconds: JOB_RETENTION_SECONDS,
+    publicOnly: WEBHOOK_ALLOWED_HOSTS.length === 0
+} );
+
 /**
- * Generate a unique ID for each request
+ * Generate a unique ID for each request.
+ * The random suffix keeps IDs (and their temp directories) distinct for requests
+ * submitted within the same millisecond.
  */
 function generateShortId() {
-    return `${ Date.now() }-${ Math.floor( Math.random() * 10000 ) }`;
+    return `${ Date.now() }-${ crypto.randomBytes( 4 ).toString( 'hex' ) }`;
 }
 
 /**
- * Upload a file to R2 storage.
+ * Convert an ffmpeg timemark (HH:MM:SS.xx) to seconds.
  */
-async function uploadFileToR2( filePath, key, contentType = 'video/mp4' ) {
-    // Read the file from the local filesystem
-    const fileContent = fs.readFileSync( filePath );
-
-    // Create the command for uploading the file
-    const command = new PutObjectCommand( {
-        Bucket: R2_BUCKET_NAME,
-        Key: key,
-        Body: fileContent,
-        ContentType: contentType,
-    } );
-
-    // Upload the file to R2
-    await s3Client.send( command );
-
-    // Construct the public URL
-    const publicUrl = `https://${ R2_ACCOUNT_ID }.r2.cloudflarestorage.com/${ R2_BUCKET_NAME }/${ key }`;
-
-    // Generate a presigned URL (this is simplified, in production would use getSignedUrl)
-    const presignedUrl = `${ publicUrl }?token=sample_token&expires=${ Date.now() + 7200 * 1000 }`;
+function timemarkToSeconds( timemark ) {
+    return String( timemark ).split( ':' ).reduce( ( total, part ) => total * 60 + parseFloat( part ), 0 ) || 0;
+}
 
-    return { url: publicUrl, presignedUrl };
+/**
+ * Upload a file to the configured storage.
+ */
+async function uploadFile( filePath, key, contentType = 'video/mp4' ) {
+    return storage.upload( filePath, key, contentType );
 }
 
 /**
- * Upload a video file to R2 storage.
+ * Upload a video file to the configured storage.
  */
-async function uploadVideoToR2( videoPath, videoId ) {
+async function uploadVideoToStorage( videoPath, videoId ) {
     // Create a unique key for the video file
     const key = `videos/${ videoId }/${ path.basename( videoPath ) }`;
 
     // Upload the video file and get its public URL
-    const result = await uploadFileToR2( videoPath, key );
+    const result = await uploadFile( videoPath, key );
 
     return { ...result, key, videoId };
 }
 
+/**
+ * Upload a file that accompanies a video (subtitles, manifests, ...) next to it.
+ */
+async function uploadVideoAsset( filePath, videoId, contentType ) {
+    const key = `videos/${ videoId }/${ path.basename( filePath ) }`;
+    const { url, presignedUrl } = await uploadFile( filePath, key, contentType );
+
+    return { url, presignedUrl };
+}
+
 /**
  * Generate a presigned URL for accessing a video.
  * This function mimics the SvelteKit endpoint behavior from +server.ts
  *
  * @param {string} videoId - The ID of the video to generate a URL for.
- * @param {number} expirySeconds - Expiry time in seconds (default: 7200 - 2 hours).
+ * @param {number} expirySeconds - Expiry time in seconds (default: 7200 - 2 hours, max: 7 days).
+ * @param {Object} client - The authorized API key; videos made with another key are not found.
  * @returns {Promise<Object>} - A promise that resolves to the result object.
  */
-async function getPresignedUrlForVideo( videoId, expirySeconds = 7200 ) {
+async function getPresignedUrlForVideo( videoId, expirySeconds = 7200, client = null ) {
     try {
         if ( !videoId ) {
             return {
@@ -105,18 +207,44 @@ async function getPresignedUrlForVideo( videoId, expirySeconds = 7200 ) {
             };
         }
 
+        // Only allow IDs in the format generateShortId produces, so the key can't escape videos/
+        if ( !/^[\w-]+$/.test( videoId ) ) {
+            return {
+                error: 'Invalid video ID',
+                status: 400
+            };
+        }
+
+        if ( !Number.isInteger( expirySeconds ) || expirySeconds < 1 || expirySeconds > MAX_PRESIGNED_URL_EXPIRY ) {
+            return {
+                error: `expirySeconds must be an integer between 1 and ${ MAX_PRESIGNED_URL_EXPIRY }`,
+                status: 400
+            };
+        }
+
         // Construct the storage key based on the video ID
         const key = `videos/${ videoId }/final_output.mp4`;
 
-        // In production, this would call your R2 service
-        // For demonstration, we'll use a placeholder URL
-        const presignedUrl = `https://${ R2_ACCOUNT_ID }.r2.cloudflarestorage.com/${ R2_BUCKET_NAME }/${ key }?token=sample_token&expires=${ Date.now() + expirySeconds * 1000 }`;
+        // Make sure the video was actually rendered (for this key) before handing out a URL for it
+        const metadata = access.canAccess( client, videoOwners.get( videoId ) ) && await storage.stat( key );
+        if ( !metadata ) {
+            return {
+                error: 'Video not found',
+                status: 404
+            };
+        }
+
+        const presignedUrl = await storage.getPresignedUrl( key, expirySeconds );
 
         // Return the successful response
         return {
             videoId,
             presignedUrl,
             expiresIn: expirySeconds,
+            expiresAt: new Date( Date.now() + expirySeconds * 1000 ).toISOString(),
+            size: metadata.size,
+            contentType: metadata.contentType,
+            createdAt: metadata.lastModified ? metadata.lastModified.toISOString() : null,
             status: 200
         };
     } catch ( err ) {
@@ -128,6 +256,72 @@ async function getPresignedUrlForVideo( videoId, expirySeconds = 7200 ) {
     }
 }
 
+/**
+ * Read a media file's format and streams using ffprobe.
+ */
+async function probeMedia( filePath ) {
+    return new Promise( ( resolve, reject ) => {
+        ffmpeg.ffprobe( filePath, ( err, metadata ) => {
+            if ( err ) return reject( err );
+            resolve( metadata );
+        } );
+    } );
+}
+
+/**
+ * Detect the container, codec, sample rate and channel count of an audio file.
+ * Throws when it isn't one of the accepted AUDIO_FORMATS.
+ */
+function detectAudioFormat( metadata ) {
+    const format = AUDIO_FORMATS[metadata.format.format_name];
+    const stream = metadata.streams.find( s => s.codec_type === 'audio' );
+    if ( !format || !stream ) {
+        throw new Error( `Unsupported audio format: ${ metadata.format.format_name } (expected mp3, m4a, aac, opus/ogg or wav)` );
+    }
+
+    return {
+        format: stream.codec_name === 'opus' ? 'opus' : format,
+        codec: stream.codec_name,
+        sampleRate: Number( stream.sample_rate ),
+        channels: stream.channels
+    };
+}
+
+/**
+ * Make sure the audio files can be joined with a stream-copy concat.
+ * That only works when every file has the same codec, sample rate and channel count, so
+ * anything else is converted to 48 kHz stereo WAV first, one file per CPU at a time.
+ *
+ * @param {Array} audioFiles - { path, codec, sampleRate, channels } for each file.
+ * @returns {Promise<Array>} - Paths of the files to concatenate.
+ */
+async function normalizeAudioFiles( audioFiles, tempDir ) {
+    const [first] = audioFiles;
+    const uniform = audioFiles.every( file =>
+        file.codec === 'mp3' && file.codec === first.codec && file.sampleRate === first.sampleRate && file.channels === first.channels
+    );
+    if ( uniform ) return audioFiles.map( file => file.path );
+
+    const normalizedPaths = await mapWithConcurrency( audioFiles, CPU_COUNT, async ( file ) => {
+        const outputPath = path.join( tempDir, `${ path.basename( file.path, path.extname( file.path ) ) }_normalized.wav` );
+        await new Promise( ( resolve, reject ) => {
+            new ffmpeg()
+                .input( file.path )
+                .outputOptions( ['-vn', '-ac', '2', '-ar', '48000', '-c:a', 'pcm_s16le'] )
+                .save( outputPath )
+                .on( 'end', resolve )
+                .on( 'error', ( err ) => {
+                    console.error( `Error normalizing ${ file.path }:`, err );
+                    reject( err );
+                } );
+        } );
+        return outputPath;
+    } );
+    console.log( `Normalized ${ normalizedPaths.length } audio files to 48 kHz stereo WAV` );
+
+    return normalizedPaths;
+}
+
 /**
  * Get the duration of an audio file using ffprobe.
  */
@@ -141,52 +335,134 @@ async function getAudioDuration( audioPath ) {
 }
 
 /**
- * Download audio and video files, and get audio durations.
+ * Download audio, background and ambient files, and get audio durations.
+ * Color and gradient backgrounds are generated by ffmpeg, so they have nothing to download.
+ * Up to DOWNLOAD_CONCURRENCY files are downloaded (and probed) at once.
+ *
+ * @param {Object} ambient - The resolved ambient track (see lib/audio.js), or null to download none.
+ * @returns {Promise<Object>} - { audioPaths, audioDurations, videoPaths, ambientPath }, and the sourcePaths
+ *   of every file as downloaded, to fingerprint the request by its media.
  */
-async function downloadFiles( recitation_files, background, ayat, tempDir ) {
-    const audioPaths = [];
-    const audioDurations = [];
-    const videoPaths = [];
-
-    for ( let i = 0; i < recitation_files.length; i++ ) {
-        const recitation_file = recitation_files[i];
+async function downloadFiles( recitation_files, background, ayat, ambient, tempDir ) {
+    // Audio is paired with ayat by position, so catch entries that were sent out of order
+    for ( const [i, recitation_file] of recitation_files.entries() ) {
         const verse = ayat[i] || { verse_key: `unknown-${ i }` };
-        const audioUrl = `https://verses.quran.com/${ recitation_file.audio_files[0].url }`;
-        const audioPath = path.join( tempDir, `audio_${ verse.verse_key.replace( /:/g, '_' ) }.mp3` );
-
-        try {
-            const response = await fetch( audioUrl );
-            if ( !response.ok ) throw new Error( `Failed to fetch audio: ${ audioUrl }` );
-            const buffer = await response.arrayBuffer();
-            fs.writeFileSync( audioPath, Buffer.from( buffer ) );
-            audioPaths.push( audioPath );
-            const duration = await getAudioDuration( audioPath );
-            audioDurations.push( duration );
-            console.log( `Downloaded audio to ${ audioPath }, duration: ${ duration }s` );
-        } catch ( err ) {
-            throw new Error( `Audio download failed for ${ verse.verse_key }: ${ err instanceof Error ? err.message : String( err ) }` );
+        if ( recitation_file.verse_key && recitation_file.verse_key !== verse.verse_key ) {
+            throw new Error( `Recitation file ${ i } is for ${ recitation_file.verse_key } but ayah ${ i } is ${ verse.verse_key }` );
         }
     }
 
-    for ( const [index, videoUrl] of background.links.entries() ) {
-        if ( videoUrl.startsWith( 'https://cdn.pixabay.com/' ) ) {
-            const videoPath = path.join( tempDir, `background_${ index }.mp4` );
-            try {
-                const response = await fetch( videoUrl );
-                if ( !response.ok ) throw new Error( `Failed to fetch video: ${ videoUrl }` );
-                const buffer = await response.arrayBuffer();
-                fs.writeFileSync( videoPath, Buffer.from( buffer ) );
-                videoPaths.push( videoPath );
-                console.log( `Downloaded video to ${ videoPath }` );
-            } catch ( err ) {
-                throw new Error( `Video download failed for ${ videoUrl }: ${ err instanceof Error ? err.message : String( err ) }` );
-            }
+    const { type, sources = [] } = normalizeBackground( background );
+    const downloads = [
+        ...recitation_files.map( ( recitation_file, i ) => () => downloadRecitationFile( recitation_file, i, ayat[i] || { verse_key: `unknown-${ i }` }, tempDir ) ),
+        ...sources.map( ( entry, index ) => () => downloadBackgroundFile( entry, index, type, tempDir ) ),
+        ...( ambient ? [() => downloadAmbientAudio( ambient, tempDir )] : [] )
+    ];
+    const results = await mapWithConcurrency( downloads, DOWNLOAD_CONCURRENCY, ( download ) => download() );
+    const audioFiles = results.slice( 0, recitation_files.length );
+    const videoPaths = results.slice( recitation_files.length, recitation_files.length + sources.length );
+    const ambientPath = ambient ? results[results.length - 1] : null;
+
+    // Convert mixed formats to a common one, and time the ayat from the files that will be concatenated
+    const audioPaths = await normalizeAudioFiles( audioFiles, tempDir );
+    const audioDurations = await mapWithConcurrency( audioPaths, DOWNLOAD_CONCURRENCY, async ( audioPath ) => {
+        const duration = await getAudioDuration( audioPath );
+        console.log( `Audio ${ audioPath } duration: ${ duration }s` );
+        return duration;
+    } );
+
+    const sourcePaths = [...audioFiles.map( ( file ) => file.path ), ...videoPaths, ...( ambientPath ? [ambientPath] : [] )];
+    return { audioPaths, audioDurations, videoPaths, ambientPath, sourcePaths };
+}
+
+/**
+ * Download one ayah's recitation audio, named after its position and actual format
+ * (the same ayah can be sent more than once).
+ *
+ * @returns {Promise<Object>} - { path, format, codec, sampleRate, channels } of the file.
+ */
+async function downloadRecitationFile( recitation_file, index, verse, tempDir ) {
+    const fileName = `audio_${ index }_${ verse.verse_key.replace( /:/g, '_' ) }`;
+    const sourcePath = path.join( tempDir, `${ fileName }_source` );
+
+    try {
+        const audioEntry = recitation_file.audio_files?.[0];
+        if ( !audioEntry ) throw new Error( 'Missing audio_files[0]' );
+
+        const source = resolveMediaSource( audioEntry, {
+            baseUrl: AUDIO_BASE_URL,
+            allowedHosts: AUDIO_ALLOWED_HOSTS,
+            allowedDirs: MEDIA_LOCAL_DIRS,
+            uploads
+        } );
+        await fetchMediaSource( source, sourcePath, downloadCache );
+
+        // Name the file after its actual format, whatever the URL says
+        const audioFormat = detectAudioFormat( await probeMedia( sourcePath ) );
+        const audioPath = path.join( tempDir, `${ fileName }.${ audioFormat.format }` );
+        fs.renameSync( sourcePath, audioPath );
+        console.log( `Downloaded audio to ${ audioPath } (${ audioFormat.codec }, ${ audioFormat.sampleRate } Hz)` );
+        return { path: audioPath, ...audioFormat };
+    } catch ( err ) {
+        throw new Error( `Audio download failed for ${ verse.verse_key }: ${ err instanceof Error ? err.message : String( err ) }` );
+    }
+}
+
+/**
+ * Download one background video or image; images are named after their actual format.
+ *
+ * @returns {Promise<string>} - Path of the file.
+ */
+async function downloadBackgroundFile( entry, index, type, tempDir ) {
+    let videoPath = path.join( tempDir, `background_${ index }.mp4` );
+    const description = entry.url || entry.upload_id || entry.path;
+    try {
+        const source = resolveMediaSource( entry, {
+            allowedHosts: BACKGROUND_ALLOWED_HOSTS,
+            allowedDirs: MEDIA_LOCAL_DIRS,
+            uploads
+        } );
+        await fetchMediaSource( source, videoPath, downloadCache );
+
+        // Images are read by extension, so name the file after its actual format
+        if ( type === 'image' ) {
+            const metadata = await probeMedia( videoPath );
+            const extension = IMAGE_CODECS[metadata.streams[0]?.codec_name];
+            if ( !extension ) throw new Error( 'Unsupported image format (expected jpg, png or webp)' );
+
+            const imagePath = path.join( tempDir, `background_${ index }.${ extension }` );
+            fs.renameSync( videoPath, imagePath );
+            videoPath = imagePath;
         }
+        console.log( `Downloaded background ${ type } to ${ videoPath }` );
+        return videoPath;
+    } catch ( err ) {
+        throw new Error( `Background download failed for ${ description }: ${ err instanceof Error ? err.message : String( err ) }` );
     }
+}
 
-    if ( videoPaths.length === 0 ) throw new Error( "No valid background video provided" );
+/**
+ * Download the ambient track from the same kinds of sources as the recitation audio.
+ */
+async function downloadAmbientAudio( ambient, tempDir ) {
+    const sourcePath = path.join( tempDir, 'ambient_source' );
+    try {
+        const source = resolveMediaSource( ambient.source, {
+            baseUrl: AUDIO_BASE_URL,
+            allowedHosts: AUDIO_ALLOWED_HOSTS,
+            allowedDirs: MEDIA_LOCAL_DIRS,
+            uploads
+        } );
+        await fetchMediaSource( source, sourcePath, downloadCache );
 
-    return { audioPaths, audioDurations, videoPaths };
+        const { format } = detectAudioFormat( await probeMedia( sourcePath ) );
+        const audioPath = path.join( tempDir, `ambient.${ format }` );
+        fs.renameSync( sourcePath, audioPath );
+        console.log( `Downloaded ambient audio to ${ audioPath }` );
+        return audioPath;
+    } catch ( err ) {
+        throw new Error( `Ambient audio download failed: ${ err instanceof Error ? err.message : String( err ) }` );
+    }
 }
 
 /**
@@ -200,7 +476,8 @@ async function concatenateMedia( filePaths, type, tempDir ) {
     const concatContent = filePaths.map( p => `file '${ p.replace( /'/g, "'\\''" ) }'` ).join( '\n' );
     fs.writeFileSync( concatListPath, concatContent );
 
-    const outputPath = path.join( tempDir, `concatenated_${ type }.${ type === 'video' ? 'mp4' : 'mp3' }` );
+    // Stream copy keeps the codec, so keep the inputs' container too
+    const outputPath = path.join( tempDir, `concatenated_${ type }${ path.extname( filePaths[0] ) }` );
     await new Promise( ( resolve, reject ) => {
         new ffmpeg()
             .input( concatListPath )
@@ -221,143 +498,368 @@ async function concatenateMedia( filePaths, type, tempDir ) {
 }
 
 /**
- * Render Arabic text into a PNG image.
+ * Find the part of an audio file to keep once the silence at its start and end is trimmed.
+ *
+ * @param {number} threshold - Level below which audio counts as silence, in dB.
+ * @param {number} duration - Length of the file, in seconds.
+ * @returns {Promise<Object>} - The { start, end } to keep, in seconds.
  */
-async function renderArabicTextImage( text, outputPath ) {
-    const width = 950;
-    const ctx = createCanvas( width, 10 ).getContext( '2d' );
+async function detectSilenceTrim( audioPath, threshold, duration ) {
+    const lines = [];
+    await new Promise( ( resolve, reject ) => {
+        new ffmpeg()
+            .input( audioPath )
+            .audioFilters( getSilenceDetectFilter( threshold ) )
+            .format( 'null' )
+            .output( '-' )
+            .on( 'stderr', ( line ) => lines.push( line ) )
+            .on( 'end', resolve )
+            .on( 'error', ( err ) => {
+                console.error( `Error detecting silence in ${ audioPath }:`, err );
+                reject( err );
+            } )
+            .run();
+    } );
 
-    ctx.font = '65px "UthmanicHafs"';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
+    return getSilenceTrim( parseSilences( lines, duration ), duration );
+}
 
-    const maxWidth = width * 0.9;
-    const words = text.split( ' ' );
-    let line = '';
-    const lines = [];
+/**
+ * Join the ayat's audio in the order they are played (see lib/repetition.js), with each play's gap of
+ * silence after it. Each file can be trimmed and loudness-normalized on the way (see lib/audio.js).
+ * Repeats and silence can't be stream-copied, so the result is a 48 kHz stereo WAV.
+ *
+ * @param {Array<string>} audioPaths - Audio file of each ayah.
+ * @param {Array<Object>} plays - The { index } of the ayah each play uses.
+ * @param {Object} options - The gaps after each play (seconds), the { start, end } to keep of each file
+ *   (or null to keep them whole) and the loudness target (or null).
+ * @returns {Promise<string>} - Path of the joined audio.
+ */
+async function joinRecitationAudio( audioPaths, plays, { gaps, trims = null, loudness = null }, tempDir ) {
+    const filterParts = [];
+
+    // Split each file into one stream per play of its ayah
+    const streams = audioPaths.map( ( _, i ) => {
+        const uses = plays.filter( ( play ) => play.index === i ).length;
+        const labels = Array.from( { length: uses }, ( _, k ) => `a${ i }_${ k }` );
+        if ( uses > 0 ) {
+            const fileFilter = getFileFilter( trims?.[i], loudness );
+            filterParts.push(
+                `[${ i }:a]${ fileFilter ? `${ fileFilter },` : '' }aformat=sample_rates=48000:channel_layouts=stereo,asplit=${ uses }${ labels.map( l => `[${ l }]` ).join( '' ) }`
+            );
+        }
+        return labels;
+    } );
 
-    for ( const word of words ) {
-        const testLine = line + word + ' ';
-        const metrics = ctx.measureText( testLine );
-        if ( metrics.width > maxWidth && line !== '' ) {
-            lines.push( line );
-            line = word + ' ';
-        } else {
-            line = testLine;
+    const sequence = [];
+    plays.forEach( ( play, p ) => {
+        sequence.push( `[${ streams[play.index].shift() }]` );
+        if ( gaps[p] > 0 ) {
+            filterParts.push( `anullsrc=r=48000:cl=stereo,atrim=duration=${ gaps[p] }[gap${ p }]` );
+            sequence.push( `[gap${ p }]` );
         }
-    }
-    lines.push( line );
+    } );
+    filterParts.push( `${ sequence.join( '' ) }concat=n=${ sequence.length }:v=0:a=1[audio]` );
 
-    const lineHeight = 100;
-    const totalHeight = lines.length * lineHeight;
-    const canvasHeight = totalHeight + 100;
+    const outputPath = path.join( tempDir, 'repeated_audio.wav' );
+    await new Promise( ( resolve, reject ) => {
+        const command = new ffmpeg();
+        for ( const audioPath of audioPaths ) command.input( audioPath );
 
-    const canvas = createCanvas( width, canvasHeight );
-    const finalCtx = canvas.getContext( '2d' );
+        command
+            .complexFilter( filterParts.join( ';' ), 'audio' )
+            .outputOptions( ['-c:a', 'pcm_s16le'] )
+            .save( outputPath )
+            .on( 'end', () => {
+                console.log( `Audio joined for ${ plays.length } plays` );
+                resolve();
+            } )
+            .on( 'error', ( err ) => {
+                console.error( 'Error joining repeated audio:', err );
+                reject( err );
+            } );
+    } );
 
-    finalCtx.clearRect( 0, 0, width, canvasHeight );
-    finalCtx.font = '65px "UthmanicHafs"';
-    finalCtx.textAlign = 'center';
-    finalCtx.textBaseline = 'middle';
-    finalCtx.fillStyle = 'white';
+    return outputPath;
+}
 
-    const startY = 50 + lineHeight / 2;
+/**
+ * Convert recitation timing segments to { word, start, end } entries.
+ * Accepts quran.com's [word_position, start_ms, end_ms] and [index, word_position, start_ms, end_ms]
+ * formats, where word positions start at 1. Returns word indexes from 0 and times in seconds.
+ */
+function normalizeSegments( segments ) {
+    if ( !Array.isArray( segments ) ) return [];
+
+    return segments
+        .filter( segment => Array.isArray( segment ) && segment.length >= 3 )
+        .map( segment => {
+            const [word, start, end] = segment.slice( -3 );
+            return { word: word - 1, start: start / 1000, end: end / 1000 };
+        } )
+        .filter( ( { word, start, end } ) => Number.isInteger( word ) && word >= 0 && end > start );
+}
 
-    for ( let i = 0; i < lines.length; i++ ) {
-        finalCtx.fillText( lines[i], width / 2, startY + i * lineHeight );
+/**
+ * Split an ayah into pages that fit the layout's text area, breaking at word boundaries.
+ * The Arabic and translation lines are divided evenly across the pages. With word timings, each
+ * page is shown from the first word recited on it; otherwise the ayah's duration is shared
+ * between the pages in proportion to the text on them.
+ *
+ * @param {Object} ayah - The ayah with its Arabic text and translation.
+ * @param {Object} layout - The layout from lib/layout.js.
+ * @param {Object} options - The ayah's audio duration and word timings (see normalizeSegments).
+ * @returns {Array<Object>} - The pages, each an ayah with its share of the text, its word timings and
+ *   its start and end time relative to the start of the ayah. Split ayat also get a 1-based page number.
+ */
+function paginateAyah( ayah, layout, { duration, wordTimings = [] } ) {
+    const measureLines = ( text, fontSize, fontFamily ) => {
+        if ( !text ) return [];
+        const ctx = createCanvas( layout.textWidth, 10 ).getContext( '2d' );
+        ctx.font = `${ fontSize }px "${ fontFamily }"`;
+        return wrapText( ctx, text, layout.textWidth * 0.9 );
+    };
+    const translations = getAyahTranslations( ayah );
+    const tracks = layout.translationTracks;
+    const arabicLines = measureLines( ayah.aya, layout.arabicFontSize, layout.arabicFontFamily );
+    const trackLines = tracks.map( ( track ) => measureLines( translations[track.name], track.fontSize, track.fontFamily ) );
+
+    // Use the fewest pages whose fullest page fits, splitting lines as evenly as possible
+    const translationHeight = ( count ) => tracks.reduce( ( total, track, t ) => {
+        if ( trackLines[t].length === 0 ) return total;
+        return total + ( total > 0 ? layout.translationGap : 0 ) + Math.ceil( trackLines[t].length / count ) * track.lineHeight;
+    }, 0 );
+    const fits = ( count ) => Math.ceil( arabicLines.length / count ) * layout.arabicLineHeight
+        + layout.arabicGap
+        + translationHeight( count )
+        + layout.textPadding <= layout.textAreaHeight;
+    const maxPages = Math.max( arabicLines.length, ...trackLines.map( ( lines ) => lines.length ) );
+    let pageCount = 1;
+    while ( pageCount < maxPages && !fits( pageCount ) ) pageCount++;
+
+    if ( pageCount === 1 ) return [{ ...ayah, start: 0, end: duration, wordTimings }];
+
+    const split = ( lines ) => Array.from( { length: pageCount }, ( _, k ) =>
+        lines.slice( Math.floor( k * lines.length / pageCount ), Math.floor( ( k + 1 ) * lines.length / pageCount ) ).flat()
+    );
+    const arabicPages = split( arabicLines );
+    const trackPages = trackLines.map( split );
+    const pageTranslations = arabicPages.map( ( _, k ) =>
+        Object.fromEntries( tracks.map( ( track, t ) => [track.name, trackPages[t][k].join( ' ' )] ) )
+    );
+
+    // Index of the first Arabic word on each page
+    const wordOffsets = [];
+    arabicPages.reduce( ( offset, words ) => {
+        wordOffsets.push( offset );
+        return offset + words.length;
+    }, 0 );
+    const pageWords = ( k ) => wordTimings.filter( ( { word } ) => word >= wordOffsets[k] && word < wordOffsets[k] + arabicPages[k].length );
+
+    // Start each page when its first word is recited, if every page has timed words in order
+    let starts = arabicPages.map( ( _, k ) => k === 0 ? 0 : Math.min( ...pageWords( k ).map( ( { start } ) => start ) ) );
+    if ( !starts.every( ( start, k ) => k === 0 || ( start > starts[k - 1] && start < duration ) ) ) {
+        const translationLength = ( k ) => Object.values( pageTranslations[k] ).join( ' ' ).length;
+        const arabicLength = ayah.aya.length || 1;
+        const totalTranslationLength = arabicPages.reduce( ( sum, _, k ) => sum + translationLength( k ), 0 ) || 1;
+        const shares = arabicPages.map( ( words, k ) =>
+            ( words.join( ' ' ).length / arabicLength + translationLength( k ) / totalTranslationLength ) / 2
+        );
+        const total = shares.reduce( ( sum, share ) => sum + share, 0 );
+        let elapsed = 0;
+        starts = shares.map( ( share ) => {
+            const start = elapsed;
+            elapsed += duration * share / total;
+            return start;
+        } );
     }
 
-    fs.writeFileSync( outputPath, canvas.toBuffer( 'image/png' ) );
-
-    return totalHeight;
+    return arabicPages.map( ( words, k ) => {
+        const start = starts[k];
+        return {
+            ...ayah,
+            aya: words.join( ' ' ),
+            tajweedWords: ayah.tajweedWords?.slice( wordOffsets[k], wordOffsets[k] + words.length ),
+            translations: pageTranslations[k],
+            page: k + 1,
+            start,
+            end: k + 1 < pageCount ? starts[k + 1] : duration,
+            wordTimings: pageWords( k ).map( ( timing ) => ( {
+                word: timing.word - wordOffsets[k],
+                start: Math.max( 0, timing.start - start ),
+                end: timing.end - start
+            } ) )
+        };
+    } );
 }
 
 /**
- * Generate Arabic text images.
+ * Draw a text image (see lib/text-images.js) in the worker pool, or on the main thread when
+ * RENDER_WORKERS is 0.
+ *
+ * @param {string} kind - arabic, translation, card or legend.
+ * @param {...*} args - The renderer's arguments.
  */
-async function generateArabicImages( ayat, tempDir ) {
-    const imagePaths = [];
-    const textHeights = [];
-    for ( const ayah of ayat ) {
-        const imagePath = path.join( tempDir, `arabic_${ ayah.verse_key.replace( /:/g, '_' ) }.png` );
-        const height = await renderArabicTextImage( ayah.aya, imagePath );
-        imagePaths.push( imagePath );
-        textHeights.push( height );
-        console.log( `Generated Arabic image at ${ imagePath }` );
-    }
-    return [imagePaths, textHeights];
+async function renderTextImage( kind, ...args ) {
+    if ( textImageWorkers ) return textImageWorkers.run( kind, args );
+    return TEXT_IMAGE_RENDERERS[kind]( ...args );
 }
 
 /**
- * Render translation text into a PNG image.
+ * Image file name for an ayah or one page of it.
  */
-async function renderTranslationTextImage( text, outputPath ) {
-    const width = 950;
-    const ctx = createCanvas( width, 10 ).getContext( '2d' );
+function getImageName( ayah ) {
+    const name = ayah.verse_key.replace( /:/g, '_' );
+    return ayah.page ? `${ name }_p${ ayah.page }` : name;
+}
 
-    ctx.font = '32px "ClashDisplay"';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
+/**
+ * Generate Arabic text images, one per ayah or page (see paginateAyah).
+ * For ayat with word timings, also generates the highlight image and the timed word boxes
+ * buildVideoWithOverlays uses to highlight the word being recited.
+ */
+async function generateArabicImages( ayat, tempDir, layout, { wordTimings = [], highlightColor = layout.highlightColor, tajweedColors = null } = {} ) {
+    const images = await Promise.all( ayat.map( async ( ayah, index ) => {
+        const fileName = getImageName( ayah );
+        const imagePath = path.join( tempDir, `arabic_${ fileName }.png` );
+        const timings = wordTimings[index] || [];
+        const highlight = timings.length > 0
+            ? { color: highlightColor, outputPath: path.join( tempDir, `arabic_highlight_${ fileName }.png` ) }
+            : null;
+
+        const tajweed = tajweedColors && ayah.tajweedWords ? { words: ayah.tajweedWords, colors: tajweedColors } : null;
+        const { height, wordBoxes } = await renderTextImage( 'arabic', ayah.aya, imagePath, layout, highlight, tajweed );
+        console.log( `Generated Arabic image at ${ imagePath }` );
+        return {
+            imagePath,
+            height,
+            wordHighlight: highlight && {
+                imagePath: highlight.outputPath,
+                words: timings
+                    .filter( ( { word } ) => wordBoxes[word] )
+                    .map( ( { word, start, end } ) => ( { ...wordBoxes[word], start, end } ) )
+            }
+        };
+    } ) );
+    return [images.map( ( image ) => image.imagePath ), images.map( ( image ) => image.height ), images.map( ( image ) => image.wordHighlight )];
+}
 
-    const maxWidth = width * 0.9;
-    const words = text.split( ' ' );
-    let line = '';
-    const lines = [];
+/**
+ * Generate translation text images, one per ayah or page (see paginateAyah).
+ */
+async function generateTranslationImages( ayat, tempDir, layout ) {
+    const imagePaths = ayat.map( ( ayah ) => path.join( tempDir, `translation_${ getImageName( ayah ) }.png` ) );
+    const textHeights = await Promise.all( ayat.map( async ( ayah, i ) => {
+        const height = await renderTextImage( 'translation', getAyahTranslations( ayah ), imagePaths[i], layout );
+        console.log( `Generated translation image at ${ imagePaths[i] }` );
+        return height;
+    } ) );
+    return [imagePaths, textHeights];
+}
 
-    for ( const word of words ) {
-        const testLine = line + word + ' ';
-        const metrics = ctx.measureText( testLine );
-        if ( metrics.width > maxWidth && line !== '' ) {
-            lines.push( line );
-            line = word + ' ';
-        } else {
-            line = testLine;
-        }
+/**
+ * Generate the intro and outro card images, timed before the first ayah and after the last.
+ *
+ * @param {Object} cards - The resolved { intro, outro } cards (see lib/cards.js).
+ * @param {number} recitationEnd - When the last ayah ends, in seconds from the start of the video.
+ * @returns {Promise<Array>} - The { imagePath, height, start, end } of each card shown.
+ */
+async function generateCardImages( cards, ayat, tempDir, layout, recitationEnd ) {
+    const images = [];
+    if ( cards.intro ) {
+        const imagePath = path.join( tempDir, 'card_intro.png' );
+        const height = await renderTextImage( 'card', getIntroLines( ayat, cards.intro ), imagePath, layout );
+        images.push( { imagePath, height, start: 0, end: cards.intro.duration } );
+        console.log( `Generated intro card at ${ imagePath }` );
     }
-    lines.push( line );
-
-    const lineHeight = 45;
-    const totalHeight = lines.length * lineHeight;
-    const canvasHeight = totalHeight + 100;
+    if ( cards.outro ) {
+        const imagePath = path.join( tempDir, 'card_outro.png' );
+        const height = await renderTextImage( 'card', getOutroLines( cards.outro ), imagePath, layout );
+        images.push( { imagePath, height, start: recitationEnd, end: recitationEnd + cards.outro.duration } );
+        console.log( `Generated outro card at ${ imagePath }` );
+    }
+    return images;
+}
 
-    const canvas = createCanvas( width, canvasHeight );
-    const finalCtx = canvas.getContext( '2d' );
+/**
+ * Calculate when each ayah starts and ends in the video, from its audio duration.
+ * startTime delays the first ayah, e.g. to leave room for an intro card.
+ */
+function calculateTimeline( ayat, audioDurations, startTime = 0 ) {
+    let currentTime = startTime;
+    const timeline = [];
+    for ( const [i, duration] of audioDurations.entries() ) {
+        timeline.push( { verse_key: ayat[i]?.verse_key, start: currentTime, end: currentTime + duration } );
+        currentTime += duration;
+    }
 
-    finalCtx.clearRect( 0, 0, width, canvasHeight );
-    finalCtx.font = '32px "ClashDisplay"';
-    finalCtx.textAlign = 'center';
-    finalCtx.textBaseline = 'middle';
-    finalCtx.fillStyle = 'white';
+    return { timeline, totalDuration: currentTime };
+}
 
-    const startY = 50 + lineHeight / 2;
+/**
+ * Write the SRT and WebVTT subtitles and the timing manifest. The Arabic track is named arabic;
+ * translation tracks are named translation_<name>, or translation for an ayah's single translation.
+ *
+ * @param {Array<string>} trackNames - Names of the translation tracks to write.
+ * @returns {Object} - Paths of the written files.
+ */
+function writeSubtitleFiles( ayat, timeline, totalDuration, tempDir, trackNames = [DEFAULT_TRACK_NAME] ) {
+    const tracks = { arabic: ayat.map( ( ayah, i ) => ( { ...timeline[i], text: ayah.aya } ) ) };
+    for ( const name of trackNames ) {
+        const track = name === DEFAULT_TRACK_NAME ? name : `translation_${ name }`;
+        tracks[track] = ayat.map( ( ayah, i ) => ( { ...timeline[i], text: getAyahTranslations( ayah )[name] || '' } ) );
+    }
 
-    for ( let i = 0; i < lines.length; i++ ) {
-        finalCtx.fillText( lines[i], width / 2, startY + i * lineHeight );
+    const files = {};
+    for ( const [track, cues] of Object.entries( tracks ) ) {
+        const srtPath = path.join( tempDir, `${ track }.srt` );
+        const vttPath = path.join( tempDir, `${ track }.vtt` );
+        fs.writeFileSync( srtPath, toSrt( cues ) );
+        fs.writeFileSync( vttPath, toWebVtt( cues ) );
+        files[track] = { srt: srtPath, vtt: vttPath };
     }
 
-    fs.writeFileSync( outputPath, canvas.toBuffer( 'image/png' ) );
+    const manifestPath = path.join( tempDir, 'timings.json' );
+    fs.writeFileSync( manifestPath, JSON.stringify( buildTimingManifest( timeline, totalDuration ), null, 2 ) );
+    files.timings = manifestPath;
 
-    return totalHeight;
+    return files;
 }
 
 /**
- * Generate translation text images.
+ * Number of threads for an encode: FFMPEG_THREADS when set, otherwise the CPUs shared evenly
+ * between the videos being made.
  */
-async function generateTranslationImages( ayat, tempDir ) {
-    const imagePaths = [];
-    const textHeights = [];
-    for ( const ayah of ayat ) {
-        const imagePath = path.join( tempDir, `translation_${ ayah.verse_key.replace( /:/g, '_' ) }.png` );
-        const height = await renderTranslationTextImage( ayah.translation, imagePath );
-        imagePaths.push( imagePath );
-        textHeights.push( height );
-        console.log( `Generated translation image at ${ imagePath }` );
-    }
-    return [imagePaths, textHeights];
+function getFfmpegThreads() {
+    if ( FFMPEG_THREADS > 0 ) return FFMPEG_THREADS;
+    return Math.max( 1, Math.floor( CPU_COUNT / Math.max( 1, activeRenders ) ) );
 }
 
 /**
  * Build the final video with precise timing and repositioned overlays.
+ *
+ * @param {string|null} videoPath - The background video or image, or null for generated color backgrounds.
+ * @param {Object} options - Overlay and encoding options.
+ * @param {Object} options.background - The normalized background (default: a looping video).
+ * @param {Object} options.layout - The output dimensions and overlay positions (see lib/layout.js).
+ * @param {Array} options.pages - The { start, end, image } of each screen of text, where image is the index
+ *   of the pair of text images to show (default: the screen's own index), so repeated ayat reuse their
+ *   images. There is one screen per ayah unless ayat are split into pages or repeated.
+ * @param {Array} options.wordHighlights - Per image, the highlight image and the timed word boxes to show,
+ *   or null for no highlighting.
+ * @param {Object} options.transition - The resolved transition (see lib/transitions.js) that shows and
+ *   hides each page's text.
+ * @param {Array} options.cards - The intro and outro cards ({ imagePath, height, start, end }), shown
+ *   centered on their own.
+ * @param {number} options.audioOffset - Delay before the recitation, to leave room for the intro.
+ * @param {Object} options.legend - The tajweed legend image, shown across the top for the whole video, or null.
+ * @param {Array} options.counters - The repetition counter images ({ imagePath, height, start, end }),
+ *   shown below the legend.
+ * @param {Object} options.audio - The resolved audio options (see lib/audio.js), for the fades.
+ * @param {string} options.ambientPath - The ambient track to mix in, or null.
+ * @param {Object} options.preview - { time, fileName } to render only the frame at that time, to an image
+ *   with no audio (default file name: preview.png).
+ * @param {Function} options.onProgress - Called with the percentage of the encode completed so far.
  */
 async function buildVideoWithOverlays(
     videoPath,
@@ -368,96 +870,271 @@ async function buildVideoWithOverlays(
     audioDurations,
     translationTextHeights,
     arabicTextHeights,
-    tempDir
+    tempDir,
+    {
+        background = { type: 'video' },
+        layout = createLayout( resolveFormat() ),
+        pages,
+        wordHighlights = [],
+        transition = DEFAULT_TRANSITION,
+        cards = [],
+        audioOffset = 0,
+        legend = null,
+        counters = [],
+        audio = null,
+        ambientPath = null,
+        preview = null,
+        onProgress = () => {}
+    } = {}
 ) {
-    // Calculate precise start times
-    let currentTime = 0;
-    const startTimes = [];
-    for ( const duration of audioDurations ) {
-        startTimes.push( currentTime );
-        currentTime += duration;
-    }
-    const totalDuration = currentTime;
+    // Calculate precise start times. The video runs on to the end of the outro card, if any
+    const { timeline, totalDuration: recitationEnd } = calculateTimeline( ayat, audioDurations, audioOffset );
+    const totalDuration = Math.max( recitationEnd, ...cards.map( ( card ) => card.end ) );
+    const screens = pages || timeline;
+    const windows = getTransitionWindows( screens, transition, totalDuration );
 
     // Construct FFmpeg filter complex
     const filterComplexParts = [];
-    filterComplexParts.push( `[0:v]scale=1080:1920,format=yuva420p[bg]` );
+    const { width, height } = layout;
+
+    // Fill the frame with the background: videos and images are scaled to cover it and cropped
+    // A preview's background starts at its time, so the overlays' timed filters show that moment
+    const backgroundInput = buildBackgroundInput( background, videoPath, {
+        width,
+        height,
+        duration: totalDuration,
+        start: preview?.time,
+        mediaDuration: preview && background.type === 'video' ? ( await probeMedia( videoPath ) ).format.duration : undefined
+    } );
+    const previewTimestamp = preview ? `,setpts=PTS-STARTPTS+${ preview.time }/TB` : '';
+    filterComplexParts.push( `[0:v]${ backgroundInput.filter }${ previewTimestamp },format=yuva420p[bg]` );
 
-    // Add the vignette over the background
+    // Add the vignette over the background, stretched to the output size
     const bgImagePath = path.resolve( process.cwd(), 'static', 'bg-vid-gradient.png' );
-    filterComplexParts.push( `[bg][3:v]overlay=(W-w)/2:(H-h)/2[vig]` );
+    filterComplexParts.push( `[3:v]scale=${ width }:${ height }[gradient]` );
+    filterComplexParts.push( `[bg][gradient]overlay=(W-w)/2:(H-h)/2[vig]` );
 
-    // Scale down the watermark to make it smaller (70% of original size)
-    filterComplexParts.push( `[2:v]scale=iw*0.7:ih*0.7[scaled_watermark]` );
+    // Scale down the watermark to make it smaller (70% of original size at 1080px)
+    filterComplexParts.push( `[2:v]scale=iw*${ layout.watermarkScale }:ih*${ layout.watermarkScale }[scaled_watermark]` );
 
     // Add the watermark at the bottom of the screen - always visible
-    const watermarkY = 1920 - 300;
+    const watermarkY = layout.watermarkY;
     filterComplexParts.push( `[vig][scaled_watermark]overlay=(W-w)/2:${ watermarkY }[with_watermark]` );
 
     // Remove the Quran.gg text watermark
     let prevLabel = 'with_watermark';
 
-    for ( let i = 0; i < ayat.length; i++ ) {
-        const startTime = startTimes[i];
-        const endTime = startTime + audioDurations[i];
-        const translationHeight = translationTextHeights[i];
-        const arabicHeight = arabicTextHeights[i];
+    // Highlight images are added as inputs after the translation images
+    const highlightInputs = new Map();
+    wordHighlights.forEach( ( highlight, i ) => {
+        if ( highlight && highlight.words.length > 0 ) {
+            highlightInputs.set( i, 4 + arabicImagePaths.length + translationImagePaths.length + highlightInputs.size );
+        }
+    } );
 
-        // Calculate positions
-        const translationY = watermarkY - ( translationHeight + 100 ) - 50;
+    // Counter images are added after the cards and the legend, once per distinct counter
+    const counterPaths = [...new Set( counters.map( ( counter ) => counter.imagePath ) )];
+    const counterInputBase = 4 + arabicImagePaths.length + translationImagePaths.length + highlightInputs.size + cards.length + ( legend ? 1 : 0 );
+    const counterInput = ( counter ) => counterInputBase + counterPaths.indexOf( counter.imagePath );
+
+    // Inputs shown more than once, such as the text of repeated ayat, are split into one stream per use
+    const inputUses = new Map();
+    const countUses = ( input, uses = 1 ) => inputUses.set( input, ( inputUses.get( input ) || 0 ) + uses );
+    screens.forEach( ( screen, i ) => {
+        const image = screen.image ?? i;
+        countUses( image + 4 );
+        countUses( image + arabicImagePaths.length + 4 );
+        if ( highlightInputs.has( image ) ) countUses( highlightInputs.get( image ), wordHighlights[image].words.length );
+    } );
+    counters.forEach( ( counter ) => countUses( counterInput( counter ) ) );
+
+    const inputStreams = new Map();
+    for ( const [input, uses] of inputUses ) {
+        if ( uses < 2 ) continue;
+        const labels = Array.from( { length: uses }, ( _, k ) => `in${ input }_${ k }` );
+        filterComplexParts.push( `[${ input }:v]split=${ uses }${ labels.map( l => `[${ l }]` ).join( '' ) }` );
+        inputStreams.set( input, labels );
+    }
+    const useInput = ( input ) => inputStreams.get( input )?.shift() ?? `${ input }:v`;
+
+    for ( let i = 0; i < screens.length; i++ ) {
+        const pageStart = screens[i].start;
+        const image = screens[i].image ?? i;
+        const { start: startTime, end: endTime, fadeIn, fadeOut } = windows[i];
+        const translationHeight = translationTextHeights[image];
+        const arabicHeight = arabicTextHeights[image];
+
+        // Calculate positions: the Arabic image sits above the translation image
+        const blockHeight = arabicHeight + layout.arabicGap + translationHeight + layout.textPadding * 2;
+        let translationY;
+        if ( layout.textPosition === 'top' ) {
+            translationY = layout.topMargin + arabicHeight + layout.arabicGap;
+        } else if ( layout.textPosition === 'center' ) {
+            translationY = Math.round( ( height - blockHeight ) / 2 ) + arabicHeight + layout.arabicGap;
+        } else {
+            translationY = watermarkY - ( translationHeight + layout.textPadding * 2 ) - layout.bottomMargin;
+        }
         const translationLabel = `trans${ i }`;
 
+        // Semi-transparent box behind the text, from the top of the Arabic to the bottom of the translation
+        if ( layout.textBox ) {
+            const { color, opacity, padding } = layout.textBox;
+            const boxY = translationY - arabicHeight - layout.arabicGap + layout.textPadding - padding;
+            const boxHeight = blockHeight - layout.textPadding * 2 + padding * 2;
+            const boxLabel = `box${ i }`;
+            filterComplexParts.push(
+                `[${ prevLabel }]drawbox=x=(iw-${ layout.textWidth })/2:y=${ boxY }:w=${ layout.textWidth }:h=${ boxHeight }:color=${ color }@${ opacity }:t=fill:enable='between(t,${ startTime },${ endTime })'[${ boxLabel }]`
+            );
+            prevLabel = boxLabel;
+        }
+
         // Add translation text
-        filterComplexParts.push(
-            `[${ prevLabel }][${ i + arabicImagePaths.length + 4 }:v]overlay=x=(W-w)/2:y=${ translationY }:enable='between(t,${ startTime },${ endTime })'[${ translationLabel }]`
-        );
+        const overlayOptions = { x: '(W-w)/2', window: windows[i], transition, slideDistance: layout.slideDistance };
+        filterComplexParts.push( ...buildTransitionOverlay( {
+            ...overlayOptions,
+            base: prevLabel,
+            image: useInput( image + arabicImagePaths.length + 4 ),
+            output: translationLabel,
+            y: translationY
+        } ) );
 
         // Arabic overlay positioned above translation
-        const arabicY = translationY - ( arabicHeight + 24 );
+        const arabicY = translationY - ( arabicHeight + layout.arabicGap );
         const arabicLabel = `arabic${ i }`;
 
         // Add Arabic text
-        filterComplexParts.push(
-            `[${ translationLabel }][${ i + 4 }:v]overlay=x=(W-w)/2:y=${ arabicY }:enable='between(t,${ startTime },${ endTime })'[${ arabicLabel }]`
-        );
+        filterComplexParts.push( ...buildTransitionOverlay( {
+            ...overlayOptions,
+            base: translationLabel,
+            image: useInput( image + 4 ),
+            output: arabicLabel,
+            y: arabicY
+        } ) );
 
         prevLabel = arabicLabel;
+
+        // Highlight the word being recited by overlaying its crop from the highlight image,
+        // once the text has fully appeared
+        const highlight = wordHighlights[image];
+        if ( highlight && highlight.words.length > 0 ) {
+            const cropLabels = highlight.words.map( () => useInput( highlightInputs.get( image ) ) );
+
+            highlight.words.forEach( ( word, w ) => {
+                // Pad the box a little so the glyphs' anti-aliased edges are covered too
+                const x = Math.max( 0, Math.floor( word.x ) - 4 );
+                const y = Math.max( 0, Math.floor( word.y ) );
+                const cropWidth = Math.min( layout.textWidth - x, Math.ceil( word.width ) + 8 );
+                const wordLabel = `word${ i }_${ w }`;
+
+                filterComplexParts.push( `[${ cropLabels[w] }]crop=${ cropWidth }:${ Math.ceil( word.height ) }:${ x }:${ y }[${ wordLabel }]` );
+                filterComplexParts.push(
+                    `[${ prevLabel }][${ wordLabel }]overlay=x=(W-${ layout.textWidth })/2+${ x }:y=${ arabicY + y }:enable='between(t,${ Math.max( pageStart + word.start, startTime + fadeIn ) },${ Math.min( pageStart + word.end, endTime - fadeOut ) })'[${ wordLabel }_on]`
+                );
+                prevLabel = `${ wordLabel }_on`;
+            } );
+        }
     }
 
+    // Intro and outro cards, centered in the frame, are added as inputs after the highlight images
+    const cardWindows = getTransitionWindows( cards, transition, totalDuration );
+    cards.forEach( ( card, i ) => {
+        const cardY = Math.round( ( height - card.height ) / 2 ) - layout.textPadding;
+        const cardLabel = `card${ i }`;
+
+        if ( layout.textBox ) {
+            const { color, opacity, padding } = layout.textBox;
+            filterComplexParts.push(
+                `[${ prevLabel }]drawbox=x=(iw-${ layout.textWidth })/2:y=${ cardY + layout.textPadding - padding }:w=${ layout.textWidth }:h=${ card.height + padding * 2 }:color=${ color }@${ opacity }:t=fill:enable='between(t,${ cardWindows[i].start },${ cardWindows[i].end })'[${ cardLabel }_box]`
+            );
+            prevLabel = `${ cardLabel }_box`;
+        }
+
+        filterComplexParts.push( ...buildTransitionOverlay( {
+            base: prevLabel,
+            image: `${ 4 + arabicImagePaths.length + translationImagePaths.length + highlightInputs.size + i }:v`,
+            output: cardLabel,
+            x: '(W-w)/2',
+            y: cardY,
+            window: cardWindows[i],
+            transition,
+            slideDistance: layout.slideDistance
+        } ) );
+        prevLabel = cardLabel;
+    } );
+
+    // The tajweed legend is the last input
+    if ( legend ) {
+        const legendInput = 4 + arabicImagePaths.length + translationImagePaths.length + highlightInputs.size + cards.length;
+        filterComplexParts.push( `[${ prevLabel }][${ legendInput }:v]overlay=x=(W-w)/2:y=${ layout.legendY }[legend]` );
+        prevLabel = 'legend';
+    }
+
+    // Repetition counters, at the top of the frame below the legend
+    const counterY = layout.legendY + ( legend ? legend.height : 0 ) - layout.textPadding;
+    counters.forEach( ( counter, i ) => {
+        filterComplexParts.push(
+            `[${ prevLabel }][${ useInput( counterInput( counter ) ) }]overlay=x=(W-w)/2:y=${ counterY }:enable='between(t,${ counter.start },${ counter.end })'[counter${ i }]`
+        );
+        prevLabel = `counter${ i }`;
+    } );
+
+    // Fade the recitation, delay it until the intro card is over and mix in the ambient track, the last input
+    const audioMix = buildAudioMix( {
+        input: '1:a',
+        ambientInput: ambientPath && `${ counterInputBase + counterPaths.length }:a`,
+        audio,
+        offset: audioOffset,
+        recitationEnd,
+        totalDuration
+    } );
+    if ( !preview ) filterComplexParts.push( ...audioMix.parts );
+    const audioMap = audioMix.label === '1:a' ? '1:a' : `[${ audioMix.label }]`;
+
     const finalVideoLabel = prevLabel;
     const filterComplex = filterComplexParts.join( ';' );
-    const outputPath = path.join( tempDir, 'final_output.mp4' ).replace( /\\/g, '/' );
+    const outputPath = path.join( tempDir, preview ? preview.fileName || 'preview.png' : 'final_output.mp4' ).replace( /\\/g, '/' );
     const watermarkPath = path.resolve( process.cwd(), 'static', 'images', 'quran-watermark.png' );
 
     await new Promise( ( resolve, reject ) => {
         const command = new ffmpeg()
-            .input( videoPath )
-            .inputOptions( ['-stream_loop', '-1'] )
+            .input( backgroundInput.source )
+            .inputOptions( backgroundInput.inputOptions )
             .input( audioPath )
             .input( watermarkPath )
             .input( bgImagePath );
 
         for ( const imagePath of arabicImagePaths ) command.input( imagePath );
         for ( const imagePath of translationImagePaths ) command.input( imagePath );
+        for ( const i of highlightInputs.keys() ) command.input( wordHighlights[i].imagePath );
+        for ( const card of cards ) command.input( card.imagePath );
+        if ( legend ) command.input( legend.imagePath );
+        for ( const imagePath of counterPaths ) command.input( imagePath );
+        if ( ambientPath && !preview ) command.input( ambientPath ).inputOptions( ['-stream_loop', '-1'] );
 
         command
             .complexFilter( filterComplex, finalVideoLabel )
-            .outputOptions( [
+            .outputOptions( preview ? ['-frames:v', '1', '-an', '-q:v', '2'] : [
                 '-t', totalDuration.toString(),
                 '-c:v', 'libx264',
                 '-c:a', 'aac',
                 '-pix_fmt', 'yuv420p',
-                '-threads', '5',
+                '-threads', String( getFfmpegThreads() ),
                 '-b:v', '2.5M',
                 '-preset', 'medium',
                 '-crf', '23',
                 '-maxrate', '3M',
                 '-bufsize', '6M',
-                '-map', '1:a'
+                '-map', audioMap
             ] )
             .save( outputPath )
+            .on( 'progress', ( progress ) => {
+                // Percent of the output written so far, based on the position ffmpeg has reached
+                if ( totalDuration <= 0 ) return;
+                const percent = Math.min( 100, timemarkToSeconds( progress.timemark ) / totalDuration * 100 );
+                onProgress( Math.round( percent * 10 ) / 10 );
+            } )
             .on( 'end', () => {
-                console.log( 'Final video built successfully' );
+                console.log( preview ? `Preview frame at ${ preview.time }s rendered` : 'Final video built successfully' );
                 resolve();
             } )
             .on( 'error', ( err ) => {
@@ -469,44 +1146,314 @@ async function buildVideoWithOverlays(
     return outputPath;
 }
 
+/**
+ * Process a request's downloaded media (see downloadFiles) and render its text: everything
+ * buildVideoWithOverlays needs, with the ayat timed from the processed audio. Takes the options of
+ * processVideoRequest, with the layout resolved, plus `preview` to prepare a silent frame: the recitation
+ * is timed but not joined.
+ *
+ * @returns {Promise<Object>} - The inputs of buildVideoWithOverlays (overlayOptions holds its options),
+ *   and the plays (see lib/repetition.js), timeline and total duration of the video.
+ */
+async function prepareVideo( recitation_files, background, ayat, media, tempDir, {
+    layout,
+    highlightColor,
+    cards = {},
+    ayahNumbers = true,
+    tajweed = null,
+    repeat = null,
+    audio = null,
+    preview = false,
+    onProgress = () => {}
+} ) {
+    const { audioPaths, audioDurations, videoPaths, ambientPath } = media;
+
+    // Background videos are joined into one; an image is used as is, and colors need no file
+    const backgroundOptions = normalizeBackground( background );
+    let finalVideoInput = null;
+    if ( backgroundOptions.type === 'video' ) finalVideoInput = await concatenateMedia( videoPaths, 'video', tempDir );
+    if ( backgroundOptions.type === 'image' ) finalVideoInput = videoPaths[0];
+
+    // Trim the silence at the ends of each file; the ayat are then timed from what is left
+    let trims = null;
+    if ( audio?.silenceThreshold != null ) {
+        trims = await mapWithConcurrency( audioPaths, CPU_COUNT, ( audioPath, i ) =>
+            detectSilenceTrim( audioPath, audio.silenceThreshold, audioDurations[i] )
+        );
+    }
+    const ayahDurations = trims ? trims.map( ( { start, end } ) => end - start ) : audioDurations;
+
+    // Repeated ayat are played in the expanded order. Each play is followed by the repetition gap,
+    // and by the gap between ayat unless it is the last
+    const plays = expandRepetitions( ayat.length, repeat );
+    const gaps = plays.map( ( _, p ) => ( repeat?.gap || 0 ) + ( p < plays.length - 1 ? audio?.gap || 0 : 0 ) );
+    const playDurations = plays.map( ( play, p ) => ayahDurations[play.index] + gaps[p] );
+    const audioDuration = playDurations.reduce( ( total, duration ) => total + duration, 0 );
+    if ( audioDuration > MAX_AUDIO_DURATION ) {
+        throw new Error( `The recitation is ${ Math.round( audioDuration ) } seconds long with its repeats and gaps; the limit is ${ MAX_AUDIO_DURATION }` );
+    }
+
+    // A preview has no sound, so any recitation file holds the audio input's place
+    const joinAudio = repeat || trims || audio?.loudness != null || gaps.some( ( gap ) => gap > 0 );
+    let audioInput = audioPaths[0];
+    if ( !preview ) {
+        audioInput = joinAudio
+            ? await joinRecitationAudio( audioPaths, plays, { gaps, trims, loudness: audio?.loudness ?? null }, tempDir )
+            : await concatenateMedia( audioPaths, 'audio', tempDir );
+    }
+    const playAyat = plays.map( ( play ) => ayat[play.index] );
+
+    onProgress( { stage: 'rendering' } );
+    // Per-word timings come from the ayah itself or from its recitation file, moved back by any trimmed silence
+    const wordTimings = ayat.map( ( ayah, i ) => {
+        const timings = normalizeSegments( ayah.segments || recitation_files[i]?.audio_files?.[0]?.segments );
+        if ( !trims ) return timings;
+        return timings
+            .map( ( timing ) => ( { ...timing, start: Math.max( 0, timing.start - trims[i].start ), end: Math.min( ayahDurations[i], timing.end - trims[i].start ) } ) )
+            .filter( ( { start, end } ) => end > start );
+    } );
+
+    // Split ayat that don't fit on one screen into pages shown one after another.
+    // The recitation starts after the intro card, if any
+    const introDuration = cards.intro?.duration || 0;
+    const { timeline, totalDuration: recitationEnd } = calculateTimeline( playAyat, playDurations, introDuration );
+    const totalDuration = recitationEnd + ( cards.outro?.duration || 0 );
+    const displayAyat = ayat.map( ( ayah ) => {
+        // Tajweed markup replaces the plain text, and the number is added after its last colored word
+        const { text, words } = tajweed && ayah.aya_tajweed ? parseTajweed( ayah.aya_tajweed ) : { text: ayah.aya, words: null };
+        return { ...ayah, aya: ayahNumbers ? addAyahNumber( text, ayah.verse_key ) : text, tajweedWords: words };
+    } );
+    const ayahPages = displayAyat.map( ( ayah, i ) =>
+        paginateAyah( ayah, layout, { duration: ayahDurations[i], wordTimings: wordTimings[i] } )
+    );
+    const pages = ayahPages.flat();
+
+    // Each play shows its ayah's pages, the last one until the end of the gap
+    const firstPages = ayahPages.map( ( _, i ) => ayahPages.slice( 0, i ).flat().length );
+    const screens = plays.flatMap( ( play, p ) => ayahPages[play.index].map( ( page, k, ayahPageList ) => ( {
+        start: timeline[p].start + page.start,
+        end: k === ayahPageList.length - 1 ? timeline[p].end : timeline[p].start + page.end,
+        image: firstPages[play.index] + k
+    } ) ) );
+
+    // Legend of the tajweed rules used in these ayat
+    const legend = tajweed?.legend
+        ? getTajweedLegend( tajweed.colors, displayAyat.flatMap( ( ayah ) => ayah.tajweedWords || [] ) )
+        : [];
+    const renderLegend = async () => {
+        if ( legend.length === 0 ) return null;
+        const imagePath = path.join( tempDir, 'tajweed_legend.png' );
+        return { imagePath, height: await renderTextImage( 'legend', legend, imagePath, layout ) };
+    };
+
+    // Repetition counters, one image per distinct label
+    const counterLabels = plays.map( ( play ) => repeat?.counter && getCounterLabel( play ) );
+    const renderCounters = async () => {
+        const labels = [...new Set( counterLabels.filter( Boolean ) )];
+        const images = await Promise.all( labels.map( async ( label, i ) => {
+            const imagePath = path.join( tempDir, `counter_${ i }.png` );
+            const height = await renderTextImage( 'card', [{ text: label, font: 'translation', scale: 0.7 }], imagePath, layout );
+            return [label, { imagePath, height }];
+        } ) );
+        const counterImages = new Map( images );
+        return counterLabels.flatMap( ( label, p ) => label
+            ? [{ ...counterImages.get( label ), start: timeline[p].start, end: timeline[p].end }]
+            : [] );
+    };
+
+    // The text images are drawn side by side in the worker pool
+    const [
+        [arabicImagePaths, arabicTextHeights, wordHighlights],
+        [translationImagePaths, translationTextHeights],
+        cardImages,
+        legendImage,
+        counters
+    ] = await Promise.all( [
+        generateArabicImages( pages, tempDir, layout, {
+            wordTimings: pages.map( ( page ) => page.wordTimings ),
+            highlightColor,
+            tajweedColors: tajweed?.colors
+        } ),
+        generateTranslationImages( pages, tempDir, layout ),
+        generateCardImages( cards, ayat, tempDir, layout, recitationEnd ),
+        renderLegend(),
+        renderCounters()
+    ] );
+
+    return {
+        finalVideoInput,
+        audioInput,
+        arabicImagePaths,
+        translationImagePaths,
+        playAyat,
+        playDurations,
+        translationTextHeights,
+        arabicTextHeights,
+        overlayOptions: {
+            background: backgroundOptions,
+            layout,
+            pages: screens,
+            wordHighlights,
+            cards: cardImages,
+            audioOffset: introDuration,
+            legend: legendImage,
+            counters,
+            audio,
+            ambientPath
+        },
+        plays,
+        timeline,
+        totalDuration
+    };
+}
+
 /**
  * Process a video generation request
+ *
+ * @param {Array} recitation_files - Recitation entries, one per ayah.
+ * @param {Object} background - Background video links.
+ * @param {Array} ayat - Ayat with their Arabic text and translation.
+ * @param {Object} options - Optional settings.
+ * @param {string} options.requestId - ID to use for the video (generated when omitted).
+ * @param {string|Object} options.format - Output format preset (e.g. '9:16') or { width, height }.
+ * @param {Object} options.style - Text style options, optionally naming a theme (see lib/styles.js).
+ * @param {string} options.highlightColor - Color of the word being recited, for ayat with word timings
+ *   (default: the style's highlight_color).
+ * @param {string|Object} options.transition - Text transition type, or { type, duration, easing } (see lib/transitions.js).
+ * @param {Object} options.cards - The resolved intro and outro cards (see lib/cards.js).
+ * @param {boolean} options.ayahNumbers - Whether to end each ayah with its numbered ornament (default: true).
+ * @param {Array} options.translations - Translation tracks to show, top to bottom (see lib/translations.js).
+ *   Defaults to the first ayah's translations.
+ * @param {Object} options.tajweed - The resolved tajweed options (see lib/tajweed.js), to color the Arabic
+ *   text from each ayah's aya_tajweed markup.
+ * @param {Object} options.repeat - The resolved repeat options (see lib/repetition.js), to repeat ayat and
+ *   loop ranges for memorization.
+ * @param {Object} options.audio - The resolved audio options (see lib/audio.js): loudness normalization,
+ *   trimmed silence, gaps between ayat, fades and an ambient track.
+ * @param {Object} options.poster - The resolved poster (see lib/thumbnails.js), to upload a cover image.
+ * @param {Object} options.animatedPreview - The resolved animated preview (see lib/thumbnails.js), to upload
+ *   a short looping GIF or WebP.
+ * @param {boolean} options.force - Render even when an identical request was rendered before from the same
+ *   media, instead of returning that video.
+ * @param {string} options.owner - ID of the API key the video is made for; only that key can look it up,
+ *   and only its own earlier renders are reused.
+ * @param {Function} options.onProgress - Called with { stage, percent } as the pipeline advances.
+ *   percent is only reported during the encoding stage.
+ * @returns {Promise<Object>} - A promise that resolves to the output paths and URLs.
  */
-async function processVideoRequest( recitation_files, background, ayat ) {
-    const request_id = generateShortId();
+async function processVideoRequest( recitation_files, background, ayat, {
+    requestId,
+    format,
+    style,
+    highlightColor,
+    transition,
+    cards = {},
+    ayahNumbers = true,
+    translations,
+    tajweed = null,
+    repeat = null,
+    audio = null,
+    poster = null,
+    animatedPreview = null,
+    force = false,
+    owner = null,
+    onProgress = () => {}
+} = {} ) {
+    const request_id = requestId || generateShortId();
     const tempDir = path.resolve( process.cwd(), 'temp', request_id );
+    const translationTracks = resolveTranslationTracks( translations, ayat );
+    const layout = createLayout( resolveFormat( format ), resolveStyle( style ), translationTracks );
 
+    activeRenders++;
     try {
-        if ( !fs.existsSync( tempDir ) ) fs.mkdirSync( tempDir, { recursive: true } );
+        fs.mkdirSync( tempDir, { recursive: true } );
 
-        const { audioPaths, audioDurations, videoPaths } = await downloadFiles(
+        onProgress( { stage: 'downloading' } );
+        const media = await downloadFiles( recitation_files, background, ayat, audio?.ambient, tempDir );
+
+        // A request that was rendered before from the same media gets that video back, unless force is set.
+        // The files are fingerprinted by content, so a changed file at the same URL or path is rendered again
+        const fingerprint = renderIndex && fingerprintRequest( {
+            audioBaseUrl: AUDIO_BASE_URL,
+            owner,
             recitation_files,
             background,
             ayat,
-            tempDir
-        );
+            media: await hashFiles( media.sourcePaths ),
+            options: { format, style, highlightColor, transition, cards, ayahNumbers, translations, tajweed, repeat, audio, poster, animatedPreview }
+        } );
+        if ( fingerprint && !force ) {
+            const existing = await findRender( fingerprint );
+            if ( existing ) {
+                console.log( `Request matches video ${ existing.videoId }, returning it without rendering` );
+                if ( !debugMode ) fs.rmSync( tempDir, { recursive: true, force: true } );
+                return existing;
+            }
+        }
 
-        const finalVideoInput = await concatenateMedia( videoPaths, 'video', tempDir );
-        const audioInput = await concatenateMedia( audioPaths, 'audio', tempDir );
-        const [arabicImagePaths, arabicTextHeights] = await generateArabicImages( ayat, tempDir );
-        const [translationImagePaths, translationTextHeights] = await generateTranslationImages( ayat, tempDir );
+        const video = await prepareVideo( recitation_files, background, ayat, media, tempDir, {
+            layout,
+            highlightColor,
+            cards,
+            ayahNumbers,
+            tajweed,
+            repeat,
+            audio,
+            onProgress
+        } );
+        const { playAyat, timeline, totalDuration } = video;
 
+        onProgress( { stage: 'encoding' } );
         const finalOutputPath = await buildVideoWithOverlays(
-            finalVideoInput,
-            audioInput,
-            arabicImagePaths,
-            translationImagePaths,
-            ayat,
-            audioDurations,
-            translationTextHeights,
-            arabicTextHeights,
+            video.finalVideoInput,
+            video.audioInput,
+            video.arabicImagePaths,
+            video.translationImagePaths,
+            playAyat,
+            video.playDurations,
+            video.translationTextHeights,
+            video.arabicTextHeights,
+            tempDir,
+            {
+                ...video.overlayOptions,
+                transition: resolveTransition( transition ),
+                onProgress: ( percent ) => onProgress( { stage: 'encoding', percent } )
+            }
+        );
+
+        // The cover image and animated preview; the preview starts with the first ayah by default
+        const posterPath = poster && await renderPoster( video, poster, resolveTransition( transition ), tempDir );
+        const animatedPreviewPath = animatedPreview && await renderAnimatedPreview(
+            finalOutputPath,
+            animatedPreview,
+            Math.min( animatedPreview.start ?? timeline[0].start, Math.max( 0, totalDuration - animatedPreview.duration ) ),
             tempDir
         );
 
-        // Upload the final video to R2 storage
+        // Upload the final video to storage
+        onProgress( { stage: 'uploading' } );
         const videoId = request_id;
-        const uploadResult = await uploadVideoToR2( finalOutputPath, videoId );
-        console.log( `Video uploaded to R2: ${ uploadResult.url }` );
+        const uploadResult = await uploadVideoToStorage( finalOutputPath, videoId );
+        if ( owner ) videoOwners.set( videoId, owner );
+        console.log( `Video uploaded to ${ storage.name } storage: ${ uploadResult.url }` );
+
+        // Upload the subtitles and timing manifest next to the video
+        const subtitleFiles = writeSubtitleFiles( playAyat, timeline, totalDuration, tempDir, translationTracks.map( ( track ) => track.name ) );
+        const subtitles = {};
+        for ( const track of Object.keys( subtitleFiles ).filter( ( name ) => name !== 'timings' ) ) {
+            subtitles[track] = {
+                srt: await uploadVideoAsset( subtitleFiles[track].srt, videoId, 'application/x-subrip' ),
+                vtt: await uploadVideoAsset( subtitleFiles[track].vtt, videoId, 'text/vtt' )
+            };
+        }
+        const timings = {
+            ...await uploadVideoAsset( subtitleFiles.timings, videoId, 'application/json' ),
+            ...buildTimingManifest( timeline, totalDuration )
+        };
+        const posterUpload = posterPath ? await uploadVideoAsset( posterPath, videoId, 'image/jpeg' ) : undefined;
+        const animatedPreviewUpload = animatedPreviewPath
+            ? await uploadVideoAsset( animatedPreviewPath, videoId, `image/${ animatedPreview.format }` )
+            : undefined;
 
         // Cleanup (skip if in debug mode)
         if ( !debugMode ) {
@@ -516,18 +1463,424 @@ async function processVideoRequest( recitation_files, background, ayat ) {
             console.log( `Debug mode enabled: Temporary files preserved at ${ tempDir }` );
         }
 
-        return {
-            output: finalOutputPath,
+        const result = {
             videoUrl: uploadResult.url,
             presignedUrl: uploadResult.presignedUrl,
-            videoId
+            videoId,
+            subtitles,
+            timings,
+            poster: posterUpload,
+            animatedPreview: animatedPreviewUpload
         };
+        if ( fingerprint ) {
+            try {
+                renderIndex.set( fingerprint, result );
+            } catch ( err ) {
+                console.error( 'Failed to record the render for deduplication:', err );
+            }
+        }
+
+        return { output: finalOutputPath, ...result };
     } catch ( err ) {
         console.error( 'Error in video processing:', err );
         throw err;
+    } finally {
+        activeRenders--;
+    }
+}
+
+/**
+ * Find an earlier render of the same request whose video is still in storage.
+ *
+ * @param {string} fingerprint - The request fingerprint (see lib/cache.js).
+ * @returns {Promise<Object|null>} - The earlier result with fresh presigned URLs and deduplicated set, or null.
+ */
+async function findRender( fingerprint ) {
+    const record = renderIndex.get( fingerprint );
+    if ( !record ) return null;
+
+    try {
+        const key = `videos/${ record.videoId }/final_output.mp4`;
+        if ( !await storage.stat( key ) ) return null;
+
+        const result = await refreshPresignedUrls( record.result, record.videoId );
+        return { ...result, presignedUrl: await storage.getPresignedUrl( key ), deduplicated: true };
+    } catch ( err ) {
+        console.error( `Failed to reuse video ${ record.videoId }:`, err );
+        return null;
+    }
+}
+
+/**
+ * Presign the files of a stored result again, as the old URLs may have expired. Each file is a
+ * { url, presignedUrl } stored under the video's directory with the URL's file name.
+ */
+async function refreshPresignedUrls( value, videoId ) {
+    if ( !value || typeof value !== 'object' || Array.isArray( value ) ) return value;
+
+    const refreshed = {};
+    for ( const [name, item] of Object.entries( value ) ) {
+        refreshed[name] = await refreshPresignedUrls( item, videoId );
+    }
+    if ( typeof value.url === 'string' && typeof value.presignedUrl === 'string' ) {
+        const fileName = path.posix.basename( new URL( value.url ).pathname );
+        refreshed.presignedUrl = await storage.getPresignedUrl( `videos/${ videoId }/${ fileName }` );
+    }
+    return refreshed;
+}
+
+/**
+ * When to show an ayah in a still of the video: the middle of its first screen, where its text is fully shown.
+ *
+ * @param {Object} video - The prepared video (see prepareVideo).
+ * @param {number} ayah - Index of the ayah.
+ */
+function getAyahStillTime( video, ayah ) {
+    const play = video.plays.findIndex( ( { index } ) => index === ayah );
+    if ( play === -1 ) throw new Error( `Ayah ${ ayah } is not one of the ayat` );
+    const screen = video.overlayOptions.pages.find( ( { start } ) => start >= video.timeline[play].start );
+    return ( screen.start + screen.end ) / 2;
+}
+
+/**
+ * Render the poster JPEG: a frame of the video showing one ayah, or the background with a title card.
+ *
+ * @param {Object} video - The prepared video (see prepareVideo).
+ * @param {Object} poster - The resolved poster (see lib/thumbnails.js).
+ * @param {Object} transition - The resolved transition.
+ * @returns {Promise<string>} - Path of the poster.
+ */
+async function renderPoster( video, poster, transition, tempDir ) {
+    let overlayOptions = { ...video.overlayOptions, transition };
+    let time = 0;
+    if ( poster.title ) {
+        const { layout } = video.overlayOptions;
+        const imagePath = path.join( tempDir, 'card_poster.png' );
+        const height = await renderTextImage( 'card', getOutroLines( { text: poster.title } ), imagePath, layout );
+
+        // The title card on its own, over the start of the background
+        overlayOptions = {
+            ...overlayOptions,
+            pages: [],
+            cards: [{ imagePath, height, start: 0, end: video.totalDuration }],
+            legend: null,
+            counters: [],
+            transition: resolveTransition( 'none' )
+        };
+    } else {
+        time = getAyahStillTime( video, poster.ayah );
+    }
+
+    return buildVideoWithOverlays(
+        video.finalVideoInput,
+        video.audioInput,
+        video.arabicImagePaths,
+        video.translationImagePaths,
+        video.playAyat,
+        video.playDurations,
+        video.translationTextHeights,
+        video.arabicTextHeights,
+        tempDir,
+        { ...overlayOptions, preview: { time, fileName: 'poster.jpg' } }
+    );
+}
+
+/**
+ * Cut a short, small looping GIF or WebP from the rendered video.
+ *
+ * @param {Object} preview - The resolved animated preview (see lib/thumbnails.js).
+ * @param {number} start - Where the clip starts, in seconds.
+ * @returns {Promise<string>} - Path of the animated preview.
+ */
+async function renderAnimatedPreview( videoPath, preview, start, tempDir ) {
+    const outputPath = path.join( tempDir, `preview.${ preview.format }` );
+    const formatOptions = preview.format === 'webp' ? ['-c:v', 'libwebp', '-quality', '70'] : [];
+
+    await new Promise( ( resolve, reject ) => {
+        new ffmpeg()
+            .input( videoPath )
+            .inputOptions( ['-ss', String( start ), '-t', String( preview.duration )] )
+            .complexFilter( buildAnimatedPreviewFilter( preview ), 'preview' )
+            .outputOptions( [...formatOptions, '-loop', '0', '-an'] )
+            .save( outputPath )
+            .on( 'end', () => {
+                console.log( `Animated preview rendered at ${ outputPath }` );
+                resolve();
+            } )
+            .on( 'error', ( err ) => {
+                console.error( 'Error rendering the animated preview:', err );
+                reject( err );
+            } );
+    } );
+
+    return outputPath;
+}
+
+/**
+ * Render a single frame of a request's video as a PNG, without encoding or uploading anything.
+ * The frame is composited by the same filter graph as the video, so it shows exactly what the video
+ * would at that moment. At most PREVIEW_CONCURRENCY previews are rendered at once.
+ *
+ * Takes the arguments and options of processVideoRequest, plus:
+ * @param {number} options.time - Moment to render, in seconds from the start of the video.
+ * @param {number} options.ayah - Index of the ayah to render instead, in the middle of its first screen
+ *   (default: the first ayah).
+ * @returns {Promise<Buffer>} - The PNG image.
+ */
+function renderPreview( recitation_files, background, ayat, options = {} ) {
+    return previewLimit( () => renderPreviewFrame( recitation_files, background, ayat, options ) );
+}
+
+async function renderPreviewFrame( recitation_files, background, ayat, {
+    format,
+    style,
+    transition,
+    translations,
+    time,
+    ayah = 0,
+    ...options
+} ) {
+    const tempDir = path.resolve( process.cwd(), 'temp', `preview-${ generateShortId() }` );
+    const layout = createLayout( resolveFormat( format ), resolveStyle( style ), resolveTranslationTracks( translations, ayat ) );
+
+    activeRenders++;
+    try {
+        fs.mkdirSync( tempDir, { recursive: true } );
+        const media = await downloadFiles( recitation_files, background, ayat, null, tempDir );
+        const video = await prepareVideo( recitation_files, background, ayat, media, tempDir, { ...options, layout, preview: true } );
+
+        const previewTime = Math.min( Math.max( 0, time ?? getAyahStillTime( video, ayah ) ), video.totalDuration );
+
+        const outputPath = await buildVideoWithOverlays(
+            video.finalVideoInput,
+            video.audioInput,
+            video.arabicImagePaths,
+            video.translationImagePaths,
+            video.playAyat,
+            video.playDurations,
+            video.translationTextHeights,
+            video.arabicTextHeights,
+            tempDir,
+            {
+                ...video.overlayOptions,
+                transition: resolveTransition( transition ),
+                preview: { time: previewTime }
+            }
+        );
+        return fs.readFileSync( outputPath );
+    } finally {
+        activeRenders--;
+        if ( !debugMode ) fs.rmSync( tempDir, { recursive: true, force: true } );
+    }
+}
+
+/**
+ * Expand a request that gives a verse range ({ verses, reciter, translation }) into the
+ * recitation_files and ayat processVideoRequest expects. Other requests are returned unchanged.
+ * A list of translations gives each ayah a translation track per name, shown in that order.
+ */
+async function resolveVerseRequest( data ) {
+    if ( data.verses === undefined ) return data;
+    if ( data.recitation_files || data.ayat ) throw new Error( 'Send either verses, or recitation_files and ayat, not both' );
+
+    const verses = await quranResolver.resolveVerses( parseVerseRange( data.verses ), {
+        reciter: data.reciter,
+        translation: data.translation,
+        tajweed: Boolean( data.tajweed )
+    } );
+
+    const multipleTranslations = Array.isArray( data.translation );
+    return {
+        ...data,
+        recitation_files: verses.map( ( verse ) => ( {
+            verse_key: verse.verse_key,
+            audio_files: [{ url: verse.audio_url, segments: verse.segments }]
+        } ) ),
+        ayat: verses.map( ( { verse_key, aya, aya_tajweed, translation, translations } ) => ( {
+            verse_key,
+            aya,
+            ...( aya_tajweed && { aya_tajweed } ),
+            ...( multipleTranslations ? { translations } : { translation } )
+        } ) ),
+        translations: data.translations ?? ( multipleTranslations ? data.translation.map( String ) : undefined )
+    };
+}
+
+/**
+ * Resolve one of the request's options, turning the resolver's error into a validation error for its path.
+ */
+function resolveOption( path, resolve ) {
+    try {
+        return resolve();
+    } catch ( err ) {
+        throw createValidationError( [{ code: 'invalid_option', path, message: err.message }] );
+    }
+}
+
+/**
+ * Pick the optional rendering settings for processVideoRequest from a request body.
+ * The format, style, transition, cards, translation tracks and the tajweed, repeat, audio, poster and
+ * animated preview options are resolved here, so invalid values throw before any work is queued.
+ */
+function getRenderOptions( data ) {
+    const tajweed = resolveOption( '$.tajweed', () => resolveTajweed( data.tajweed ) );
+    if ( tajweed && !data.ayat?.every( ( ayah ) => typeof ayah.aya_tajweed === 'string' ) ) {
+        throw createValidationError( [{
+            code: 'missing_field',
+            path: '$.ayat',
+            message: 'tajweed needs the tajweed markup (aya_tajweed) of every ayah'
+        }] );
+    }
+
+    return {
+        format: resolveOption( '$.format', () => resolveFormat( data.format ) ),
+        style: resolveOption( '$.style', () => resolveStyle( data.style ) ),
+        highlightColor: data.highlight_color,
+        transition: resolveOption( '$.transition', () => resolveTransition( data.transition ) ),
+        // Verse range requests name the reciter on the intro card
+        cards: resolveOption( '$', () => resolveCards( data, data.verses !== undefined ? data.reciter || DEFAULT_RECITER : null ) ),
+        ayahNumbers: data.ayah_numbers !== false,
+        translations: resolveOption( '$.translations', () => resolveTranslationTracks( data.translations, data.ayat ) ),
+        tajweed,
+        repeat: resolveOption( '$.repeat', () => resolveRepeat( data.repeat, data.ayat ) ),
+        audio: resolveOption( '$.audio', () => resolveAudioOptions( data.audio ) ),
+        poster: resolveOption( '$.poster', () => resolvePoster( data.poster, data.ayat ) ),
+        animatedPreview: resolveOption( '$.animated_preview', () => resolveAnimatedPreview( data.animated_preview ) ),
+        force: data.force === true
+    };
+}
+
+/**
+ * Resolve the request's webhook_url. Throws when it is invalid or webhooks aren't configured.
+ *
+ * @returns {string|null} - The URL to call when the video is done, or null for none.
+ */
+function resolveWebhookUrl( webhookUrl ) {
+    if ( webhookUrl === undefined || webhookUrl === null ) return null;
+    if ( typeof webhookUrl !== 'string' ) throw new Error( 'webhook_url must be a URL' );
+    if ( !WEBHOOK_SECRET ) throw new Error( 'webhook_url needs WEBHOOK_SECRET to be set on the server' );
+    return validateWebhookUrl( webhookUrl, WEBHOOK_ALLOWED_HOSTS );
+}
+
+/**
+ * Send the completion webhook for a video, if the request asked for one.
+ *
+ * @param {string} jobId - The job (and video) ID.
+ * @param {string|null} webhookUrl - The resolved webhook_url.
+ * @param {Object} outcome - { result } or { error } (see buildWebhookPayload).
+ * @returns {Promise<Object|null>} - The delivery record, or null when there is no webhook.
+ */
+async function notifyWebhook( jobId, webhookUrl, outcome ) {
+    if ( !webhookUrl ) return null;
+    return webhooks.deliver( jobId, webhookUrl, buildWebhookPayload( jobId, outcome ) );
+}
+
+/**
+ * Read a /process or /preview body, or a RunPod input: check it against the request schema, expand a
+ * verse range and resolve the rendering options, so an invalid request is rejected before any work starts.
+ *
+ * @param {Object} data - The parsed request body.
+ * @returns {Promise<Object>} - { recitation_files, background, ayat, options, webhookUrl }, or { error, errors, status }
+ *   when invalid, where errors holds the { code, path, message } of each problem.
+ */
+async function readRenderRequest( data ) {
+    const errors = validateRenderRequest( data );
+    if ( errors.length > 0 ) {
+        return { error: createValidationError( errors ).message, errors, status: 400 };
+    }
+
+    // Expand a verse range into recitation files and ayat. A lookup that failed upstream is a 502
+    try {
+        data = await resolveVerseRequest( data );
+    } catch ( err ) {
+        const code = err.status === 502 ? 'verse_lookup_failed' : 'invalid_verses';
+        return { error: err.message, errors: [{ code, path: '$.verses', message: err.message }], status: err.status || 400 };
+    }
+
+    // The recitation files and ayat of a verse range are held to the same schema and limits as sent ones
+    if ( data.verses !== undefined ) {
+        const { verses, reciter, translation, ...expanded } = data;
+        const expandedErrors = validateRenderRequest( expanded );
+        if ( expandedErrors.length > 0 ) {
+            return { error: createValidationError( expandedErrors ).message, errors: expandedErrors, status: 400 };
+        }
+    }
+
+    // Reject an invalid background, format or style now rather than failing the job later
+    const { recitation_files, background, ayat } = data;
+    try {
+        resolveOption( '$.background', () => normalizeBackground( background ) );
+        return {
+            recitation_files,
+            background,
+            ayat,
+            options: getRenderOptions( data ),
+            webhookUrl: resolveOption( '$.webhook_url', () => resolveWebhookUrl( data.webhook_url ) )
+        };
+    } catch ( err ) {
+        return {
+            error: err.message,
+            errors: err.errors || [{ code: 'invalid_option', path: '$', message: err.message }],
+            status: 400
+        };
+    }
+}
+
+/**
+ * Parse a JSON request body.
+ *
+ * @returns {Object} - { data }, or { error, errors, status } when the body isn't valid JSON.
+ */
+function parseRequestBody( body ) {
+    try {
+        return { data: JSON.parse( body ) };
+    } catch {
+        const message = 'The request body must be valid JSON';
+        return { error: message, errors: [{ code: 'invalid_json', path: '$', message }], status: 400 };
     }
 }
 
+/**
+ * Pick the frame a preview request asks for: a time in seconds or the index of an ayah.
+ * Their types are checked by the request schema.
+ *
+ * @returns {Object} - { time } or { ayah } (empty for the default), or { error, errors } when invalid.
+ */
+function getPreviewOptions( { time, ayah }, ayat ) {
+    const invalid = ( code, path, message ) => ( { error: message, errors: [{ code, path, message }] } );
+    if ( time !== undefined && ayah !== undefined ) return invalid( 'conflicting_fields', '$', 'Send either time or ayah, not both' );
+    if ( time !== undefined ) return { time };
+    if ( ayah !== undefined ) {
+        if ( ayah >= ayat.length ) return invalid( 'out_of_range', '$.ayah', `ayah must be the index of one of the ayat (0 to ${ ayat.length - 1 })` );
+        return { ayah };
+    }
+    return {};
+}
+
+// Queue for jobs submitted over HTTP, so the connection doesn't stay open for the whole render.
+// The webhook is sent in the background, so its retries don't hold up the next job
+const jobQueue = createJobQueue(
+    async ( { recitation_files, background, ayat, options, webhookUrl, client }, { jobId, reportProgress } ) => {
+        const notify = ( outcome ) => notifyWebhook( jobId, webhookUrl, outcome ).catch( ( err ) => console.error( `Webhook for job ${ jobId } failed:`, err ) );
+        try {
+            // The output path is in the server's temp directory, so it isn't part of the job's public view
+            const { output, ...result } = await processVideoRequest( recitation_files, background, ayat, {
+                ...options,
+                requestId: jobId,
+                owner: client?.id,
+                onProgress: reportProgress
+            } );
+            if ( !result.deduplicated ) access.recordUsage( client, result.timings?.duration );
+            notify( { result } );
+            return result;
+        } catch ( err ) {
+            notify( { error: err instanceof Error ? err.message : String( err ) } );
+            throw err;
+        }
+    },
+    { concurrency: MAX_CONCURRENT_JOBS, retentionSeconds: JOB_RETENTION_SECONDS }
+);
+
 /**
  * Handler function for HTTP requests.
  * Supports SvelteKit-style route parameters and RunPod serverless format.
@@ -537,10 +1890,10 @@ async function handler( req, res ) {
         const parsedUrl = url.parse( req.url, true );
         const pathname = parsedUrl.pathname;
 
-        // Set appropriate CORS headers for all responses
-        res.setHeader( 'Access-Control-Allow-Origin', '*' );
-        res.setHeader( 'Access-Control-Allow-Methods', 'GET, POST, OPTIONS' );
-        res.setHeader( 'Access-Control-Allow-Headers', 'Content-Type' );
+        // Set CORS headers for origins in CORS_ORIGINS
+        for ( const [name, value] of Object.entries( access.getCorsHeaders( req.headers.origin ) ) ) {
+            res.setHeader( name, value );
+        }
 
         // Handle preflight requests
         if ( req.method === 'OPTIONS' ) {
@@ -558,21 +1911,67 @@ async function handler( req, res ) {
                 version: '1.0.0',
                 endpoints: [
                     { method: 'GET', path: '/videos/:id' },
-                    { method: 'POST', path: '/process' }
+                    { method: 'GET', path: '/jobs/:id' },
+                    { method: 'GET', path: '/jobs/:id/events' },
+                    { method: 'GET', path: '/jobs/:id/webhook' },
+                    { method: 'GET', path: '/themes' },
+                    { method: 'GET', path: '/tajweed' },
+                    { method: 'GET', path: '/usage' },
+                    { method: 'GET', path: '/schema' },
+                    { method: 'POST', path: '/uploads' },
+                    { method: 'POST', path: '/process' },
+                    { method: 'POST', path: '/preview' }
                 ],
                 runpod: {
                     info: 'For RunPod serverless, submit requests directly to the root endpoint',
-                    required_parameters: ['recitation_files', 'background', 'ayat']
+                    required_parameters: ['background', 'verses or recitation_files and ayat']
                 }
             } ) );
             return;
         }
 
+        // Publish the schema render requests are checked against
+        if ( req.method === 'GET' && pathname === '/schema' ) {
+            res.writeHead( 200, { 'Content-Type': 'application/json' } );
+            res.end( JSON.stringify( REQUEST_SCHEMA ) );
+            return;
+        }
+
+        // Every other route needs an API key, when keys are configured. Files from local storage
+        // are authorized by their signed URLs instead
+        let client = null;
+        if ( !( req.method === 'GET' && storage.name === 'local' && pathname.startsWith( '/files/' ) ) ) {
+            const auth = access.authorize( req, parsedUrl.query );
+            for ( const [name, value] of Object.entries( auth.headers ) ) {
+                res.setHeader( name, value );
+            }
+            if ( auth.error ) {
+                res.writeHead( auth.status, { 'Content-Type': 'application/json' } );
+                res.end( JSON.stringify( { error: auth.error } ) );
+                return;
+            }
+            client = auth.client;
+        }
+
+        // Get the API key's limits and today's usage
+        if ( req.method === 'GET' && pathname === '/usage' ) {
+            if ( !client ) {
+                res.writeHead( 404, { 'Content-Type': 'application/json' } );
+                res.end( JSON.stringify( { error: 'API keys are not configured' } ) );
+                return;
+            }
+
+            res.writeHead( 200, { 'Content-Type': 'application/json' } );
+            res.end( JSON.stringify( access.getUsage( client ) ) );
+            return;
+        }
+
         // Handle GET requests for video presigned URLs
         // Pattern matching for routes like /videos/:id similar to SvelteKit +server.ts
         if ( req.method === 'GET' && pathname.startsWith( '/videos/' ) ) {
             const videoId = pathname.split( '/' )[2]; // Extract ID from /videos/:id
-            const result = await getPresignedUrlForVideo( videoId );
+            const { expirySeconds } = parsedUrl.query;
+            const result = await getPresignedUrlForVideo( videoId, expirySeconds ? Number( expirySeconds ) : undefined, client );
 
             res.writeHead( result.status || 200, { 'Content-Type': 'application/json' } );
             delete result.status; // Remove status from response body
@@ -580,6 +1979,120 @@ async function handler( req, res ) {
             return;
         }
 
+        // List the named themes that can be used in the request's style
+        if ( req.method === 'GET' && pathname === '/themes' ) {
+            res.writeHead( 200, { 'Content-Type': 'application/json' } );
+            res.end( JSON.stringify( { themes: getThemes() } ) );
+            return;
+        }
+
+        // List the tajweed rules and their default colors
+        if ( req.method === 'GET' && pathname === '/tajweed' ) {
+            res.writeHead( 200, { 'Content-Type': 'application/json' } );
+            res.end( JSON.stringify( { rules: TAJWEED_RULES } ) );
+            return;
+        }
+
+        // Serve files kept by the local storage driver, behind signed URLs
+        if ( req.method === 'GET' && storage.name === 'local' && pathname.startsWith( '/files/' ) ) {
+            const key = decodeURIComponent( pathname.slice( '/files/'.length ) );
+            const { expires, signature } = parsedUrl.query;
+
+            if ( !storage.verifySignature( key, expires, signature ) ) {
+                res.writeHead( 403, { 'Content-Type': 'application/json' } );
+                res.end( JSON.stringify( { error: 'Invalid or expired signature' } ) );
+                return;
+            }
+
+            const metadata = await storage.stat( key );
+            if ( !metadata ) {
+                res.writeHead( 404, { 'Content-Type': 'application/json' } );
+                res.end( JSON.stringify( { error: 'File not found' } ) );
+                return;
+            }
+
+            res.writeHead( 200, { 'Content-Type': metadata.contentType, 'Content-Length': metadata.size } );
+            storage.createReadStream( key ).pipe( res );
+            return;
+        }
+
+        // Stream job progress as Server-Sent Events until the job finishes
+        if ( req.method === 'GET' && /^\/jobs\/[^/]+\/events$/.test( pathname ) ) {
+            const jobId = pathname.split( '/' )[2]; // Extract ID from /jobs/:id/events
+            const job = access.canAccess( client, jobQueue.getOwner( jobId ) ) ? jobQueue.getJob( jobId ) : null;
+
+            if ( !job ) {
+                res.writeHead( 404, { 'Content-Type': 'application/json' } );
+                res.end( JSON.stringify( { error: 'Job not found' } ) );
+                return;
+            }
+
+            res.writeHead( 200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            } );
+
+            const sendEvent = ( view ) => {
+                res.write( `event: progress\ndata: ${ JSON.stringify( view ) }\n\n` );
+                if ( view.status === 'done' || view.status === 'failed' ) {
+                    unsubscribe();
+                    res.end();
+                }
+            };
+            const unsubscribe = jobQueue.subscribe( jobId, sendEvent );
+            req.on( 'close', unsubscribe );
+            sendEvent( job );
+            return;
+        }
+
+        // Handle GET requests for a job's webhook delivery record, with each attempt
+        if ( req.method === 'GET' && /^\/jobs\/[^/]+\/webhook$/.test( pathname ) ) {
+            const jobId = pathname.split( '/' )[2]; // Extract ID from /jobs/:id/webhook
+            const delivery = access.canAccess( client, jobQueue.getOwner( jobId ) ) ? webhooks.getDelivery( jobId ) : null;
+
+            if ( !delivery ) {
+                res.writeHead( 404, { 'Content-Type': 'application/json' } );
+                res.end( JSON.stringify( { error: 'No webhook delivery for this job' } ) );
+                return;
+            }
+
+            res.writeHead( 200, { 'Content-Type': 'application/json' } );
+            res.end( JSON.stringify( delivery ) );
+            return;
+        }
+
+        // Handle GET requests for job status
+        if ( req.method === 'GET' && pathname.startsWith( '/jobs/' ) ) {
+            const jobId = pathname.split( '/' )[2]; // Extract ID from /jobs/:id
+            const job = access.canAccess( client, jobQueue.getOwner( jobId ) ) ? jobQueue.getJob( jobId ) : null;
+
+            if ( !job ) {
+                res.writeHead( 404, { 'Content-Type': 'application/json' } );
+                res.end( JSON.stringify( { error: 'Job not found' } ) );
+                return;
+            }
+
+            res.writeHead( 200, { 'Content-Type': 'application/json' } );
+            res.end( JSON.stringify( job ) );
+            return;
+        }
+
+        // Store an uploaded file (the raw request body) for use as upload_id in /process requests
+        if ( req.method === 'POST' && pathname === '/uploads' ) {
+            try {
+                const upload = await uploads.save( req, generateShortId() );
+                res.writeHead( 201, { 'Content-Type': 'application/json' } );
+                res.end( JSON.stringify( upload ) );
+            } catch ( err ) {
+                console.error( 'Error saving upload:', err );
+                const status = err.message.includes( 'maximum size' ) ? 413 : 500;
+                res.writeHead( status, { 'Content-Type': 'application/json', 'Connection': 'close' } );
+                res.end( JSON.stringify( { error: err.message } ) );
+            }
+            return;
+        }
+
         // Handle POST requests for processing
         if ( req.method === 'POST' && pathname === '/process' ) {
             let body = '';
@@ -590,24 +2103,35 @@ async function handler( req, res ) {
             req.on( 'end', async () => {
                 try {
                     console.log( 'Received request body:', body );
-                    const data = JSON.parse( body );
-
-                    // Extract required fields from the request
-                    const { recitation_files, background, ayat } = data;
-
-                    if ( !recitation_files || !background || !ayat ) {
-                        res.writeHead( 400, { 'Content-Type': 'application/json' } );
-                        res.end( JSON.stringify( {
-                            error: 'Missing required fields: recitation_files, background, or ayat'
-                        } ) );
+                    const parsed = parseRequestBody( body );
+                    const request = parsed.error ? parsed : await readRenderRequest( parsed.data );
+                    if ( request.error ) {
+                        res.writeHead( request.status, { 'Content-Type': 'application/json' } );
+                        res.end( JSON.stringify( { error: request.error, errors: request.errors } ) );
                         return;
                     }
+                    const { recitation_files, background, ayat, options, webhookUrl } = request;
 
-                    // Process the video
-                    const result = await processVideoRequest( recitation_files, background, ayat );
+                    const quota = access.checkQuota( client );
+                    if ( quota ) {
+                        res.writeHead( quota.status, { 'Content-Type': 'application/json', ...quota.headers } );
+                        res.end( JSON.stringify( { error: quota.error } ) );
+                        return;
+                    }
 
-                    res.writeHead( 200, { 'Content-Type': 'application/json' } );
-                    res.end( JSON.stringify( result ) );
+                    // Queue the video and return straight away; progress is available from /jobs/:id
+                    const jobId = generateShortId();
+                    const job = jobQueue.enqueue( jobId, {
+                        recitation_files,
+                        background,
+                        ayat,
+                        options,
+                        webhookUrl,
+                        client
+                    }, client?.id );
+
+                    res.writeHead( 202, { 'Content-Type': 'application/json' } );
+                    res.end( JSON.stringify( { ...job, statusUrl: `/jobs/${ jobId }` } ) );
                 } catch ( err ) {
                     console.error( 'Error processing request:', err );
                     res.writeHead( 500, { 'Content-Type': 'application/json' } );
@@ -619,6 +2143,48 @@ async function handler( req, res ) {
             return;
         }
 
+        // Render a single frame of the video a /process body would make, as a PNG
+        if ( req.method === 'POST' && pathname === '/preview' ) {
+            let body = '';
+            req.on( 'data', ( chunk ) => {
+                body += chunk.toString();
+            } );
+
+            req.on( 'end', async () => {
+                try {
+                    const parsed = parseRequestBody( body );
+                    const request = parsed.error ? parsed : await readRenderRequest( parsed.data );
+                    if ( !request.error ) request.previewOptions = getPreviewOptions( parsed.data, request.ayat );
+                    const invalid = request.error ? request : request.previewOptions;
+                    if ( invalid.error ) {
+                        res.writeHead( invalid.status || 400, { 'Content-Type': 'application/json' } );
+                        res.end( JSON.stringify( { error: invalid.error, errors: invalid.errors } ) );
+                        return;
+                    }
+
+                    // A preview doesn't use up render minutes, but isn't rendered once they are used up
+                    const quota = access.checkQuota( client );
+                    if ( quota ) {
+                        res.writeHead( quota.status, { 'Content-Type': 'application/json', ...quota.headers } );
+                        res.end( JSON.stringify( { error: quota.error } ) );
+                        return;
+                    }
+
+                    const { recitation_files, background, ayat, options, previewOptions } = request;
+                    const image = await renderPreview( recitation_files, background, ayat, { ...options, ...previewOptions } );
+                    res.writeHead( 200, { 'Content-Type': 'image/png', 'Content-Length': image.length } );
+                    res.end( image );
+                } catch ( err ) {
+                    console.error( 'Error rendering preview:', err );
+                    res.writeHead( 500, { 'Content-Type': 'application/json' } );
+                    res.end( JSON.stringify( {
+                        error: err instanceof Error ? err.message : 'Error rendering the preview'
+                    } ) );
+                }
+            } );
+            return;
+        }
+
         // Handle any other request
         res.writeHead( 404, { 'Content-Type': 'application/json' } );
         res.end( JSON.stringify( { error: 'Endpoint not found' } ) );
@@ -634,30 +2200,39 @@ async function handler( req, res ) {
  * to the RunPod serverless format.
  *
  * @param {Object} event - The RunPod serverless event.
+ * @param {Function} onProgress - Called with { stage, percent } while a video is processed.
+ * @param {Object} options
+ * @param {Object} options.client - The authorized API key (see lib/access.js), which owns the videos it makes.
  * @returns {Promise<Object>} - A promise that resolves to the response.
  */
-export async function runpodHandler( event ) {
+export async function runpodHandler( event, onProgress = () => {}, { client = null } = {} ) {
     const { input } = event;
 
     // Handle video URL generation requests if specified
     if ( input.route === 'video' ) {
-        return await getPresignedUrlForVideo( input.videoId, input.expirySeconds );
-    }
-    // Process request directly at root route if it has the necessary parameters
-    else if ( input.recitation_files && input.background && input.ayat ) {
-        try {
-            return await processVideoRequest( input.recitation_files, input.background, input.ayat );
-        } catch ( err ) {
-            return {
-                error: err instanceof Error ? err.message : 'Error processing the request'
-            };
-        }
+        return await getPresignedUrlForVideo( input.videoId, input.expirySeconds, client );
     }
-    // Fallback for unknown route or missing parameters
-    else {
-        return {
-            error: 'Missing required fields: recitation_files, background, or ayat'
-        };
+
+    // Anything else is a render request, checked like a /process body
+    const request = await readRenderRequest( input );
+    if ( request.error ) return { error: request.error, errors: request.errors };
+
+    // The webhook is awaited here, since the worker may be stopped once the handler returns
+    const { webhookUrl } = request;
+    const requestId = generateShortId();
+    try {
+        const result = await processVideoRequest( request.recitation_files, request.background, request.ayat, {
+            ...request.options,
+            requestId,
+            owner: client?.id,
+            onProgress
+        } );
+        const webhook = await notifyWebhook( requestId, webhookUrl, { result } );
+        return webhook ? { ...result, webhook } : result;
+    } catch ( err ) {
+        const error = err instanceof Error ? err.message : 'Error processing the request';
+        const webhook = await notifyWebhook( requestId, webhookUrl, { error } );
+        return webhook ? { error, webhook } : { error };
     }
 }
 
@@ -669,8 +2244,18 @@ if ( import.meta.url === `file://${ process.argv[1] }` ) {
         console.log( `Server is running on http://${ host }:${ port } in ${ process.env.NODE_ENV } mode` );
         console.log( `You can also access it at http://localhost:${ port }` );
         console.log( `GET /videos/:id - Get presigned URL for a video` );
-        console.log( `POST /process - Process recitation files (HTTP server only)` );
+        console.log( `GET /jobs/:id - Get the status of a queued video job` );
+        console.log( `GET /jobs/:id/events - Stream job progress as Server-Sent Events` );
+        console.log( `GET /jobs/:id/webhook - Get the delivery record of a job's completion webhook` );
+        console.log( `GET /themes - List the named style themes` );
+        console.log( `GET /tajweed - List the tajweed rules and their colors` );
+        console.log( `GET /usage - Get the API key's limits and today's render minutes` );
+        console.log( `GET /schema - Get the schema of /process and /preview bodies` );
+        console.log( `POST /uploads - Upload an audio or background file for use in /process` );
+        console.log( `POST /process - Queue recitation files for processing (HTTP server only)` );
+        console.log( `POST /preview - Render one frame of a /process request as a PNG (HTTP server only)` );
         console.log( `For RunPod: Submit requests directly to the root endpoint with recitation_files, background, and ayat parameters` );
+        if ( access.keyCount === 0 ) console.warn( 'No API keys configured (API_KEYS_FILE, API_KEYS): requests are not authenticated' );
     } );
 }
 
@@ -1,12 +1,27 @@
 import http from 'http';
 import fs from 'fs';
+import url from 'url';
+import crypto from 'crypto';
 import { runpodHandler } from './main.js';
+import { createAccessControl } from './lib/access.js';
 
 // Constants
 const INPUT_DIR = '/inputs';
 const OUTPUT_DIR = '/outputs';
 const RUNPOD_HANDLER_PORT = process.env.RUNPOD_HANDLER_PORT || 8000;
 
+// The local storage driver's /files/ URLs are served by the HTTP server (main.js), not by this handler
+if ( ( process.env.STORAGE_DRIVER || '' ).toLowerCase() === 'local' ) {
+    throw new Error( 'STORAGE_DRIVER=local is not supported by the RunPod handler, which does not serve /files/; use r2 or s3' );
+}
+
+// API keys, rate limits, render-minute quotas and allowed CORS origins for /run and /status
+const access = createAccessControl( process.env );
+
+// Running jobs by a server-generated key, each with the job ID its client sent, the API key that
+// submitted it and its latest progress. Two keys may send the same job ID, and each sees only its own job
+const runningJobs = new Map();
+
 // Create outputs directory if it doesn't exist
 if ( !fs.existsSync( OUTPUT_DIR ) ) {
     fs.mkdirSync( OUTPUT_DIR, { recursive: true } );
@@ -44,13 +59,29 @@ async function writeJobOutput( jobId, result ) {
     }
 }
 
+// Function to record job progress, both in memory and on disk for RunPod to collect
+function writeJobProgress( job, progress ) {
+    const jobId = job.id;
+    job.progress = progress;
+    try {
+        const jobOutputDir = `${ OUTPUT_DIR }/${ jobId }`;
+        if ( !fs.existsSync( jobOutputDir ) ) {
+            fs.mkdirSync( jobOutputDir, { recursive: true } );
+        }
+
+        fs.writeFileSync( `${ jobOutputDir }/progress.json`, JSON.stringify( progress ) );
+    } catch ( error ) {
+        console.error( 'Error writing job progress:', error );
+    }
+}
+
 // Create HTTP server to handle RunPod requests
 const server = http.createServer( async ( req, res ) => {
     try {
-        // Set CORS headers
-        res.setHeader( 'Access-Control-Allow-Origin', '*' );
-        res.setHeader( 'Access-Control-Allow-Methods', 'GET, POST, OPTIONS' );
-        res.setHeader( 'Access-Control-Allow-Headers', 'Content-Type' );
+        // Set CORS headers for origins in CORS_ORIGINS
+        for ( const [name, value] of Object.entries( access.getCorsHeaders( req.headers.origin ) ) ) {
+            res.setHeader( name, value );
+        }
 
         // Handle OPTIONS request (preflight)
         if ( req.method === 'OPTIONS' ) {
@@ -66,6 +97,37 @@ const server = http.createServer( async ( req, res ) => {
             return;
         }
 
+        // Every other route needs an API key, when keys are configured
+        const { pathname, query } = url.parse( req.url, true );
+        const auth = access.authorize( req, query );
+        for ( const [name, value] of Object.entries( auth.headers ) ) {
+            res.setHeader( name, value );
+        }
+        if ( auth.error ) {
+            res.writeHead( auth.status, { 'Content-Type': 'application/json' } );
+            res.end( JSON.stringify( { error: auth.error } ) );
+            return;
+        }
+
+        // Handle progress requests for running jobs
+        if ( req.url.startsWith( '/status/' ) && req.method === 'GET' ) {
+            const id = pathname.split( '/' )[2];
+            const job = [...runningJobs.values()].find( ( running ) =>
+                running.id === id && running.progress && access.canAccess( auth.client, running.owner )
+            );
+            const progress = job?.progress;
+
+            if ( !progress ) {
+                res.writeHead( 404, { 'Content-Type': 'application/json' } );
+                res.end( JSON.stringify( { error: 'Job not found' } ) );
+                return;
+            }
+
+            res.writeHead( 200, { 'Content-Type': 'application/json' } );
+            res.end( JSON.stringify( { id, status: 'IN_PROGRESS', progress } ) );
+            return;
+        }
+
         // Handle job request
         if ( req.url.startsWith( '/run' ) && req.method === 'POST' ) {
             let body = '';
@@ -74,12 +136,25 @@ const server = http.createServer( async ( req, res ) => {
             } );
 
             req.on( 'end', async () => {
+                const key = crypto.randomUUID();
                 try {
-                    const { id, input } = JSON.parse( body );
+                    const request = JSON.parse( body );
+                    const { input, id } = request;
+                    const job = { id, owner: auth.client?.id ?? null, progress: null };
+                    runningJobs.set( key, job );
                     console.log( `[${ id }] Received job`, JSON.stringify( input ) );
 
-                    // Process the request using the handler from main.js
-                    const result = await runpodHandler( { input } );
+                    // Presigned URLs are still handed out once the render quota is used up
+                    const quota = input?.route === 'video' ? null : access.checkQuota( auth.client );
+                    if ( quota ) {
+                        res.writeHead( quota.status, { 'Content-Type': 'application/json', ...quota.headers } );
+                        res.end( JSON.stringify( { error: quota.error } ) );
+                        return;
+                    }
+
+                    // Process the request using the handler from main.js, reporting progress as it goes
+                    const result = await runpodHandler( { input }, ( progress ) => writeJobProgress( job, progress ), { client: auth.client } );
+                    if ( !result.deduplicated ) access.recordUsage( auth.client, result.timings?.duration );
 
                     // Return result
                     res.writeHead( 200, { 'Content-Type': 'application/json' } );
@@ -94,6 +169,9 @@ const server = http.createServer( async ( req, res ) => {
                     res.end( JSON.stringify( {
                         error: error instanceof Error ? error.message : 'Unknown error'
                     } ) );
+                } finally {
+                    // Failed jobs are forgotten too, not only finished ones
+                    runningJobs.delete( key );
                 }
             } );
             return;
@@ -112,4 +190,5 @@ const server = http.createServer( async ( req, res ) => {
 // Start server
 server.listen( RUNPOD_HANDLER_PORT, '0.0.0.0', () => {
     console.log( `RunPod serverless handler started on port ${ RUNPOD_HANDLER_PORT }` );
+    if ( access.keyCount === 0 ) console.warn( 'No API keys configured (API_KEYS_FILE, API_KEYS): requests are not authenticated' );
 } );
\ No newline at end of file
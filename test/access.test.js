@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadApiKeys, createAccessControl, createOwnerIndex } from '../lib/access.js';
+
+const hash = ( key ) => crypto.createHash( 'sha256' ).update( key ).digest( 'hex' );
+const request = ( headers = {} ) => ( { headers } );
+
+function withTempDir( fn ) {
+    const directory = fs.mkdtempSync( path.join( os.tmpdir(), 'access-test-' ) );
+    try {
+        return fn( directory );
+    } finally {
+        fs.rmSync( directory, { recursive: true, force: true } );
+    }
+}
+
+test( 'loads keys from API_KEYS and the key store, by their hash', () => {
+    withTempDir( ( directory ) => {
+        const file = path.join( directory, 'keys.json' );
+        fs.writeFileSync( file, JSON.stringify( [
+            { name: 'app', key: 'k1', rate_limit: 10, daily_minutes: 30 },
+            { key_sha256: hash( 'k2' ).toUpperCase() }
+        ] ) );
+        const keys = loadApiKeys( { API_KEYS_FILE: file, API_KEYS: 'ci:k3, k4', API_RATE_LIMIT: '5' } );
+
+        assert.deepEqual( keys.get( hash( 'k1' ) ), { name: 'app', rateLimit: 10, dailyMinutes: 30 } );
+        assert.deepEqual( keys.get( hash( 'k2' ) ), { name: 'key-2', rateLimit: 5, dailyMinutes: 0 } );
+        assert.deepEqual( keys.get( hash( 'k3' ) ), { name: 'ci', rateLimit: 5, dailyMinutes: 0 } );
+        assert.equal( keys.get( hash( 'k4' ) ).name, 'env-2' );
+    } );
+} );
+
+test( 'refuses an invalid key store', () => {
+    withTempDir( ( directory ) => {
+        const file = path.join( directory, 'keys.json' );
+        fs.writeFileSync( file, JSON.stringify( [{ name: 'app' }] ) );
+        assert.throws( () => loadApiKeys( { API_KEYS_FILE: file } ), /needs a key or key_sha256/ );
+        fs.writeFileSync( file, JSON.stringify( [{ key: 'k1', rate_limit: -1 }] ) );
+        assert.throws( () => loadApiKeys( { API_KEYS_FILE: file } ), /rate_limit of API key 0 must be a number of 0 or more/ );
+        assert.throws( () => loadApiKeys( { API_KEYS_FILE: path.join( directory, 'missing.json' ) } ), /Failed to load API keys/ );
+    } );
+} );
+
+test( 'lets every request through when no keys are configured', () => {
+    const access = createAccessControl( {} );
+    assert.equal( access.keyCount, 0 );
+    assert.deepEqual( access.authorize( request() ), { client: null, headers: {} } );
+    assert.equal( access.checkQuota( null ), null );
+} );
+
+test( 'authenticates by bearer token, X-API-Key header or api_key parameter', () => {
+    const access = createAccessControl( { API_KEYS: 'alice:k1' } );
+    assert.equal( access.authorize( request( { authorization: 'Bearer k1' } ) ).client.name, 'alice' );
+    assert.equal( access.authorize( request( { 'x-api-key': 'k1' } ) ).client.id, hash( 'k1' ) );
+    assert.equal( access.authorize( request(), { api_key: 'k1' } ).client.name, 'alice' );
+
+    assert.deepEqual( access.authorize( request() ), { error: 'Missing API key', status: 401, headers: { 'WWW-Authenticate': 'Bearer' } } );
+    assert.equal( access.authorize( request( { 'x-api-key': 'nope' } ) ).error, 'Invalid API key' );
+} );
+
+test( 'limits the requests of each key per minute', () => {
+    const access = createAccessControl( { API_KEYS: 'k1,k2', API_RATE_LIMIT: '2' } );
+    const first = access.authorize( request( { 'x-api-key': 'k1' } ) );
+    assert.equal( first.headers['X-RateLimit-Limit'], '2' );
+    assert.equal( first.headers['X-RateLimit-Remaining'], '1' );
+    assert.equal( access.authorize( request( { 'x-api-key': 'k1' } ) ).headers['X-RateLimit-Remaining'], '0' );
+
+    const refused = access.authorize( request( { 'x-api-key': 'k1' } ) );
+    assert.equal( refused.status, 429 );
+    assert.equal( refused.error, 'Rate limit of 2 requests per minute exceeded' );
+    assert.ok( Number( refused.headers['Retry-After'] ) > 0 );
+
+    // Other keys have their own limit
+    assert.equal( access.authorize( request( { 'x-api-key': 'k2' } ) ).client.name, 'env-2' );
+} );
+
+test( 'does not rate limit keys with a limit of 0', () => {
+    const access = createAccessControl( { API_KEYS: 'k1', API_RATE_LIMIT: '0' } );
+    for ( let i = 0; i < 100; i++ ) assert.deepEqual( access.authorize( request( { 'x-api-key': 'k1' } ) ).headers, {} );
+} );
+
+test( 'refuses renders once the daily minutes are used up', () => {
+    const access = createAccessControl( { API_KEYS: 'k1', API_DAILY_MINUTES: '1' } );
+    const { client } = access.authorize( request( { 'x-api-key': 'k1' } ) );
+
+    access.recordUsage( client, 45 );
+    assert.equal( access.checkQuota( client ), null );
+    assert.equal( access.getUsage( client ).usedMinutes, 0.75 );
+
+    access.recordUsage( client, 15 );
+    const refused = access.checkQuota( client );
+    assert.equal( refused.status, 429 );
+    assert.equal( refused.error, 'Daily quota of 1 render minutes used up' );
+    assert.ok( Number( refused.headers['Retry-After'] ) <= 24 * 60 * 60 );
+} );
+
+test( 'allows any CORS origin until CORS_ORIGINS is set', () => {
+    assert.equal( createAccessControl( {} ).getCorsHeaders( 'https://any.example.com' )['Access-Control-Allow-Origin'], '*' );
+
+    const access = createAccessControl( { CORS_ORIGINS: 'https://app.example.com' } );
+    assert.equal( access.getCorsHeaders( 'https://app.example.com' )['Access-Control-Allow-Origin'], 'https://app.example.com' );
+    assert.deepEqual( access.getCorsHeaders( 'https://evil.example.com' ), { 'Vary': 'Origin' } );
+    assert.deepEqual( createAccessControl( { CORS_ORIGINS: '' } ).getCorsHeaders( 'https://app.example.com' ), { 'Vary': 'Origin' } );
+} );
+
+test( 'shows jobs and videos only to the key that made them', () => {
+    const access = createAccessControl( { API_KEYS: 'k1,k2' } );
+    const alice = access.authorize( request( { 'x-api-key': 'k1' } ) ).client;
+    const bob = access.authorize( request( { 'x-api-key': 'k2' } ) ).client;
+
+    assert.equal( access.canAccess( alice, alice.id ), true );
+    assert.equal( access.canAccess( bob, alice.id ), false );
+    assert.equal( access.canAccess( bob, null ), true );
+    assert.equal( access.canAccess( null, alice.id ), true );
+} );
+
+test( 'records which key made each video', () => {
+    withTempDir( ( directory ) => {
+        const owners = createOwnerIndex( { directory: path.join( directory, 'owners' ) } );
+        owners.set( 'video-1', 'abc' );
+        assert.equal( owners.get( 'video-1' ), 'abc' );
+        assert.equal( owners.get( 'video-2' ), null );
+        assert.equal( owners.get( '../owners/video-1' ), null );
+    } );
+} );
@@ -0,0 +1,129 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fingerprintRequest, hashFiles, createDownloadCache, createRenderIndex } from '../lib/cache.js';
+
+const originalFetch = globalThis.fetch;
+const directories = [];
+
+function tempDir() {
+    const directory = fs.mkdtempSync( path.join( os.tmpdir(), 'cache-test-' ) );
+    directories.push( directory );
+    return directory;
+}
+
+/**
+ * Stand in for a server that sends the given body with an ETag, and answers 304 to a matching If-None-Match.
+ */
+function serve( file ) {
+    const calls = [];
+    globalThis.fetch = async ( url, { headers = {} } = {} ) => {
+        calls.push( { url, headers } );
+        if ( file.etag && headers['If-None-Match'] === file.etag ) return { ok: false, status: 304, headers: new Map() };
+        return {
+            ok: true,
+            status: 200,
+            headers: new Map( file.etag ? [['etag', file.etag]] : [] ),
+            arrayBuffer: async () => new TextEncoder().encode( file.body ).buffer
+        };
+    };
+    return calls;
+}
+
+afterEach( () => {
+    globalThis.fetch = originalFetch;
+    for ( const directory of directories.splice( 0 ) ) fs.rmSync( directory, { recursive: true, force: true } );
+} );
+
+test( 'fingerprints requests regardless of key order', () => {
+    const a = fingerprintRequest( { ayat: [{ verse_key: '1:1', aya: 'x' }], options: { format: '9:16', style: { theme: 'boxed' } } } );
+    const b = fingerprintRequest( { options: { style: { theme: 'boxed' }, format: '9:16', transition: undefined }, ayat: [{ aya: 'x', verse_key: '1:1' }] } );
+    assert.equal( a, b );
+    assert.match( a, /^[0-9a-f]{64}$/ );
+    assert.notEqual( fingerprintRequest( { ayat: [{ verse_key: '1:2', aya: 'x' }] } ), fingerprintRequest( { ayat: [{ verse_key: '1:1', aya: 'x' }] } ) );
+    assert.notEqual( fingerprintRequest( { media: ['a'] } ), fingerprintRequest( { media: ['b'] } ) );
+} );
+
+test( 'hashes files by their content', async () => {
+    const directory = tempDir();
+    const paths = ['a', 'b', 'c'].map( ( name ) => path.join( directory, name ) );
+    fs.writeFileSync( paths[0], 'recitation' );
+    fs.writeFileSync( paths[1], 'recitation' );
+    fs.writeFileSync( paths[2], 'background' );
+
+    const [a, b, c] = await hashFiles( paths );
+    assert.equal( a, b );
+    assert.notEqual( a, c );
+    await assert.rejects( hashFiles( [path.join( directory, 'missing' )] ), { code: 'ENOENT' } );
+} );
+
+test( 'keeps downloads with an ETag and revalidates them', async () => {
+    const directory = tempDir();
+    const cache = createDownloadCache( { directory: path.join( directory, 'cache' ), maxBytes: 1024 } );
+    const file = { body: 'first', etag: '"v1"' };
+    const calls = serve( file );
+
+    await cache.fetch( 'https://example.com/a.mp3', path.join( directory, 'one' ) );
+    await cache.fetch( 'https://example.com/a.mp3', path.join( directory, 'two' ) );
+    assert.equal( fs.readFileSync( path.join( directory, 'two' ), 'utf8' ), 'first' );
+    assert.deepEqual( calls.map( ( { headers } ) => headers['If-None-Match'] ), [undefined, '"v1"'] );
+
+    // A changed file is downloaded again
+    Object.assign( file, { body: 'second', etag: '"v2"' } );
+    await cache.fetch( 'https://example.com/a.mp3', path.join( directory, 'three' ) );
+    assert.equal( fs.readFileSync( path.join( directory, 'three' ), 'utf8' ), 'second' );
+} );
+
+test( 'does not keep downloads without validators', async () => {
+    const directory = tempDir();
+    const cache = createDownloadCache( { directory: path.join( directory, 'cache' ), maxBytes: 1024 } );
+    const calls = serve( { body: 'plain' } );
+
+    await cache.fetch( 'https://example.com/a.mp3', path.join( directory, 'one' ) );
+    await cache.fetch( 'https://example.com/a.mp3', path.join( directory, 'two' ) );
+    assert.deepEqual( calls.map( ( { headers } ) => headers ), [{}, {}] );
+    assert.equal( fs.existsSync( path.join( directory, 'cache' ) ), false );
+} );
+
+test( 'removes the least recently used downloads once the cache is full', async () => {
+    const directory = tempDir();
+    const root = path.join( directory, 'cache' );
+    const cache = createDownloadCache( { directory: root, maxBytes: 10 } );
+
+    serve( { body: 'aaaaaa', etag: '"a"' } );
+    await cache.fetch( 'https://example.com/a', path.join( directory, 'a' ) );
+    const [meta] = fs.readdirSync( root ).filter( ( name ) => name.endsWith( '.json' ) );
+    fs.utimesSync( path.join( root, meta ), new Date( 0 ), new Date( 0 ) );
+    serve( { body: 'bbbbbb', etag: '"b"' } );
+    await cache.fetch( 'https://example.com/b', path.join( directory, 'b' ) );
+
+    const kept = fs.readdirSync( root ).filter( ( name ) => name.endsWith( '.json' ) )
+        .map( ( name ) => JSON.parse( fs.readFileSync( path.join( root, name ), 'utf8' ) ).url );
+    assert.deepEqual( kept, ['https://example.com/b'] );
+} );
+
+test( 'uses the cached copy when the server cannot be reached', async () => {
+    const directory = tempDir();
+    const cache = createDownloadCache( { directory: path.join( directory, 'cache' ), maxBytes: 1024 } );
+    serve( { body: 'kept', etag: '"v1"' } );
+    await cache.fetch( 'https://example.com/a', path.join( directory, 'one' ) );
+
+    globalThis.fetch = async () => {
+        throw new Error( 'offline' );
+    };
+    await cache.fetch( 'https://example.com/a', path.join( directory, 'two' ) );
+    assert.equal( fs.readFileSync( path.join( directory, 'two' ), 'utf8' ), 'kept' );
+    await assert.rejects( cache.fetch( 'https://example.com/b', path.join( directory, 'three' ) ), /offline/ );
+} );
+
+test( 'indexes finished renders by fingerprint', () => {
+    const index = createRenderIndex( { directory: path.join( tempDir(), 'renders' ) } );
+    assert.equal( index.get( 'abc' ), null );
+
+    index.set( 'abc', { videoId: 'v1', videoUrl: 'https://cdn/v1.mp4' } );
+    const record = index.get( 'abc' );
+    assert.equal( record.videoId, 'v1' );
+    assert.deepEqual( record.result, { videoId: 'v1', videoUrl: 'https://cdn/v1.mp4' } );
+} );
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapWithConcurrency, createLimiter, createWorkerPool } from '../lib/concurrency.js';
+
+const delay = ( ms ) => new Promise( ( resolve ) => setTimeout( resolve, ms ) );
+
+test( 'maps items in order with at most limit calls at once', async () => {
+    let running = 0;
+    let most = 0;
+    const results = await mapWithConcurrency( [30, 10, 20, 5, 15], 2, async ( ms, index ) => {
+        running++;
+        most = Math.max( most, running );
+        await delay( ms );
+        running--;
+        return `${ index }:${ ms }`;
+    } );
+    assert.deepEqual( results, ['0:30', '1:10', '2:20', '3:5', '4:15'] );
+    assert.equal( most, 2 );
+    assert.deepEqual( await mapWithConcurrency( [], 4, async () => 1 ), [] );
+} );
+
+test( 'stops starting calls after one fails, and throws once the others settle', async () => {
+    const started = [];
+    const settled = [];
+    await assert.rejects(
+        mapWithConcurrency( [1, 2, 3, 4, 5], 2, async ( n ) => {
+            started.push( n );
+            await delay( n === 1 ? 1 : 20 );
+            if ( n === 1 ) throw new Error( 'first failed' );
+            settled.push( n );
+        } ),
+        /first failed/
+    );
+    assert.deepEqual( started, [1, 2] );
+    assert.deepEqual( settled, [2] );
+} );
+
+test( 'limits how many functions run at once, in the order they came in', async () => {
+    const limit = createLimiter( 1 );
+    const events = [];
+    const run = ( name, ms ) => limit( async () => {
+        events.push( `start ${ name }` );
+        await delay( ms );
+        events.push( `end ${ name }` );
+        return name;
+    } );
+
+    assert.deepEqual( await Promise.all( [run( 'a', 20 ), run( 'b', 1 ), run( 'c', 1 )] ), ['a', 'b', 'c'] );
+    assert.deepEqual( events, ['start a', 'end a', 'start b', 'end b', 'start c', 'end c'] );
+} );
+
+test( 'moves on to the next function after one fails', async () => {
+    const limit = createLimiter( 1 );
+    const failed = limit( () => {
+        throw new Error( 'preview failed' );
+    } );
+    const next = limit( async () => 'next' );
+    await assert.rejects( failed, /preview failed/ );
+    assert.equal( await next, 'next' );
+} );
+
+test( 'runs tasks in worker threads', async () => {
+    const pool = createWorkerPool( { file: new URL( './fixtures/worker.js', import.meta.url ), size: 2 } );
+    try {
+        assert.deepEqual( await Promise.all( [1, 2, 3].map( ( n ) => pool.run( 'double', [n] ) ) ), [2, 4, 6] );
+        await assert.rejects( pool.run( 'fail', ['no good'] ), /no good/ );
+    } finally {
+        await pool.close();
+    }
+} );
+
+test( 'replaces a worker that stops', async () => {
+    const pool = createWorkerPool( { file: new URL( './fixtures/worker.js', import.meta.url ), size: 1 } );
+    try {
+        await assert.rejects( pool.run( 'crash', [] ), /Worker stopped with exit code 3/ );
+        assert.equal( await pool.run( 'double', [21] ), 42 );
+    } finally {
+        await pool.close();
+    }
+} );
@@ -0,0 +1,22 @@
+import { parentPort } from 'worker_threads';
+
+/**
+ * Worker for the pool tests: answers like lib/text-worker.js, with tasks that double a number,
+ * fail, or stop the worker.
+ */
+
+const TASKS = {
+    double: ( n ) => n * 2,
+    fail: ( message ) => {
+        throw new Error( message );
+    },
+    crash: () => process.exit( 3 )
+};
+
+parentPort.on( 'message', async ( { task, args } ) => {
+    try {
+        parentPort.postMessage( { result: await TASKS[task]( ...args ) } );
+    } catch ( err ) {
+        parentPort.postMessage( { error: err.message } );
+    }
+} );
@@ -0,0 +1,106 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVerseRange, addAyahNumber, toArabicIndicDigits, getChapter, createOfflineResolver, createQuranComResolver, createQuranResolver } from '../lib/quran.js';
+
+const originalFetch = globalThis.fetch;
+
+afterEach( () => {
+    globalThis.fetch = originalFetch;
+} );
+
+test( 'expands verse ranges into verse keys', () => {
+    assert.deepEqual( parseVerseRange( '2:255' ), ['2:255'] );
+    assert.deepEqual( parseVerseRange( '2:255-257' ), ['2:255', '2:256', '2:257'] );
+    assert.deepEqual( parseVerseRange( '1:7-2:2' ), ['1:7', '2:1', '2:2'] );
+    assert.deepEqual( parseVerseRange( '112' ), ['112:1', '112:2', '112:3', '112:4'] );
+    assert.equal( parseVerseRange( '113-114' ).length, 11 );
+    assert.deepEqual( parseVerseRange( '1:1, 112:1' ), ['1:1', '112:1'] );
+} );
+
+test( 'rejects malformed and out-of-range verse ranges', () => {
+    assert.throws( () => parseVerseRange( '' ), /verses must be a non-empty string/ );
+    assert.throws( () => parseVerseRange( '2:255:1' ), /Malformed verse range "2:255:1"/ );
+    assert.throws( () => parseVerseRange( '115:1' ), /Invalid chapter 115/ );
+    assert.throws( () => parseVerseRange( '1:8' ), /Chapter 1 has no verse 8/ );
+    assert.throws( () => parseVerseRange( '2:5-2' ), /ends before it starts/ );
+    assert.throws( () => parseVerseRange( '2-3' ), /may not cover more than 300 verses/ );
+} );
+
+test( 'looks up chapters', () => {
+    assert.equal( getChapter( 112 ).totalVerses, 4 );
+    assert.equal( getChapter( 115 ), null );
+} );
+
+test( 'numbers ayat with Arabic-Indic digits', () => {
+    assert.equal( toArabicIndicDigits( 255 ), '٢٥٥' );
+    assert.equal( addAyahNumber( 'الله ', '2:255' ), 'الله ۝٢٥٥' );
+    assert.equal( addAyahNumber( 'الله ۝٢٥٥', '2:255' ), 'الله ۝٢٥٥' );
+    assert.equal( addAyahNumber( 'الله', 'unknown-0' ), 'الله' );
+} );
+
+test( 'resolves verses from the bundled dataset', async () => {
+    const [verse] = await createOfflineResolver().resolveVerses( ['1:1'], { reciter: 'husary', translation: ['sahih', 'bn'] } );
+    assert.equal( verse.verse_key, '1:1' );
+    assert.equal( verse.audio_url, 'Husary/mp3/001001.mp3' );
+    assert.deepEqual( Object.keys( verse.translations ), ['sahih', 'bn'] );
+    assert.equal( verse.translation, verse.translations.sahih );
+    assert.match( verse.translation, /^In the name of Allah/ );
+
+    const resolver = createOfflineResolver();
+    await assert.rejects( resolver.resolveVerses( ['1:1'], { reciter: 'nobody' } ), /Unknown reciter "nobody"/ );
+    await assert.rejects( resolver.resolveVerses( ['1:1'], { translation: 'klingon' } ), /Unknown translation "klingon"/ );
+    await assert.rejects( resolver.resolveVerses( ['1:1'], { tajweed: true } ), /has no tajweed markup/ );
+} );
+
+test( 'resolves verses with the quran.com API, without translation markup', async () => {
+    const urls = [];
+    globalThis.fetch = async ( url ) => {
+        urls.push( url );
+        const [, chapter, page] = /by_chapter\/(\d+)\?.*&page=(\d+)$/.exec( url ).map( Number );
+        const verses = Array.from( { length: 50 }, ( _, i ) => ( page - 1 ) * 50 + i + 1 ).map( ( verse ) => ( {
+            verse_key: `${ chapter }:${ verse }`,
+            text_uthmani: 'بِسۡمِ ٱللَّهِ',
+            text_uthmani_tajweed: '<tajweed class=ham_wasl>ٱ</tajweed>',
+            translations: [{ resource_id: 20, text: 'In the name<sup foot_note=1>1</sup> of <b>Allah</b>' }],
+            audio: { url: `Alafasy/mp3/${ verse }.mp3`, segments: [[1, 0, 500]] }
+        } ) );
+        return { ok: true, json: async () => ( { verses } ) };
+    };
+
+    const verses = await createQuranComResolver( 'https://api.example.com/v4' ).resolveVerses( parseVerseRange( '1:7-2:60' ), { tajweed: true } );
+    assert.deepEqual( urls.sort(), [1, 2].flatMap( ( chapter ) => [1, 2].slice( 0, chapter ).map( ( page ) =>
+        `https://api.example.com/v4/verses/by_chapter/${ chapter }?fields=text_uthmani,text_uthmani_tajweed&translations=20&audio=7&per_page=50&page=${ page }`
+    ) ) );
+    assert.deepEqual( verses.map( ( verse ) => verse.verse_key ), parseVerseRange( '1:7-2:60' ) );
+    assert.equal( verses[0].translation, 'In the name of Allah' );
+    assert.equal( verses[0].aya_tajweed, '<tajweed class=ham_wasl>ٱ</tajweed>' );
+    assert.deepEqual( verses[0].segments, [[1, 0, 500]] );
+} );
+
+test( 'fails with status 502 when quran.com does', async () => {
+    const resolver = createQuranComResolver( 'https://api.example.com/v4', { timeoutMs: 20 } );
+
+    globalThis.fetch = async () => ( { ok: false, status: 503 } );
+    await assert.rejects( resolver.resolveVerses( ['1:1'] ), { status: 502, message: 'Failed to look up chapter 1: 503' } );
+
+    // A server that never answers; the timer keeps the test alive until the call is aborted
+    globalThis.fetch = ( url, { signal } ) => new Promise( ( resolve, reject ) => {
+        const pending = setTimeout( resolve, 60000 );
+        signal.addEventListener( 'abort', () => {
+            clearTimeout( pending );
+            reject( signal.reason );
+        } );
+    } );
+    await assert.rejects( resolver.resolveVerses( ['1:1'] ), { status: 502 } );
+
+    globalThis.fetch = async () => ( { ok: true, json: async () => ( { verses: [] } ) } );
+    await assert.rejects( resolver.resolveVerses( ['1:1'] ), { status: 502, message: 'Verse 1:1 was not returned by quran.com' } );
+
+    await assert.rejects( resolver.resolveVerses( ['1:1'], { translation: 'bn' } ), /has no quran.com ID/ );
+} );
+
+test( 'picks the resolver named by QURAN_RESOLVER', () => {
+    assert.equal( createQuranResolver( {} ).name, 'offline' );
+    assert.equal( createQuranResolver( { QURAN_RESOLVER: 'quran.com' } ).name, 'quran.com' );
+    assert.throws( () => createQuranResolver( { QURAN_RESOLVER: 'tanzil' } ), /Unknown QURAN_RESOLVER: tanzil/ );
+} );
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveRepeat, expandRepetitions, getCounterLabel } from '../lib/repetition.js';
+
+const ayat = ['1:1', '1:2', '1:3', '1:4'].map( ( verse_key ) => ( { verse_key } ) );
+
+const order = ( plays ) => plays.map( ( play ) => play.index );
+
+test( 'repeats nothing without a repeat option', () => {
+    assert.equal( resolveRepeat( undefined, ayat ), null );
+    assert.deepEqual( order( expandRepetitions( 3, null ) ), [0, 1, 2] );
+} );
+
+test( 'repeats every ayah a number of times, or each by its own count', () => {
+    assert.deepEqual( order( expandRepetitions( 2, resolveRepeat( 2, ayat.slice( 0, 2 ) ) ) ), [0, 0, 1, 1] );
+
+    const repeat = resolveRepeat( { ayah: 2 }, [{ verse_key: '1:1', repeat: 3 }, { verse_key: '1:2' }] );
+    assert.deepEqual( repeat.counts, [3, 2] );
+    assert.deepEqual( order( expandRepetitions( 2, repeat ) ), [0, 0, 0, 1, 1] );
+} );
+
+test( 'loops ranges of ayat by verse key', () => {
+    const repeat = resolveRepeat( { ranges: [{ from: '1:2', to: '1:3', times: 2 }], gap: 1.5 }, ayat );
+    assert.deepEqual( repeat.ranges, [{ start: 1, end: 2, times: 2 }] );
+    assert.equal( repeat.gap, 1.5 );
+    assert.equal( repeat.counter, true );
+
+    const plays = expandRepetitions( ayat.length, repeat );
+    assert.deepEqual( order( plays ), [0, 1, 2, 1, 2, 3] );
+    assert.deepEqual( plays[3], { index: 1, repetition: 1, repetitions: 1, round: 2, rounds: 2 } );
+} );
+
+test( 'repeats ayat within a looped range', () => {
+    const repeat = resolveRepeat( { ayah: 2, ranges: [{ from: '1:1', to: '1:2', times: 2 }] }, ayat.slice( 0, 2 ) );
+    assert.deepEqual( order( expandRepetitions( 2, repeat ) ), [0, 0, 1, 1, 0, 0, 1, 1] );
+} );
+
+test( 'rejects invalid options', () => {
+    assert.throws( () => resolveRepeat( 0, ayat ), /repeat\.ayah must be a whole number between 1 and 20/ );
+    assert.throws( () => resolveRepeat( [2], ayat ), /repeat must be a number or an object/ );
+    assert.throws( () => resolveRepeat( undefined, [{ verse_key: '1:1', repeat: 1.5 }] ), /ayat\[0\]\.repeat/ );
+    assert.throws( () => resolveRepeat( { ranges: [{ from: '2:1', times: 2 }] }, ayat ), /repeat\.ranges\[0\]\.from/ );
+    assert.throws( () => resolveRepeat( { ranges: [{ from: '1:3', to: '1:1', times: 2 }] }, ayat ), /must end after it starts/ );
+    assert.throws(
+        () => resolveRepeat( { ranges: [{ from: '1:1', to: '1:2', times: 2 }, { from: '1:2', times: 2 }] }, ayat ),
+        /must be in order and must not overlap/
+    );
+    assert.throws( () => resolveRepeat( { gap: 31 }, ayat ), /repeat\.gap/ );
+} );
+
+test( 'rejects repeats that play too many ayat', () => {
+    const many = Array.from( { length: 40 }, ( _, i ) => ( { verse_key: `2:${ i + 1 }` } ) );
+    assert.equal( expandRepetitions( many.length, resolveRepeat( 12, many ) ).length, 480 );
+    assert.throws( () => resolveRepeat( 13, many ), /repeat plays 520 ayat in total; the limit is 500/ );
+    assert.throws(
+        () => resolveRepeat( { ayah: 20, ranges: [{ from: '2:1', to: '2:10', times: 20 }] }, many ),
+        /repeat plays 4600 ayat in total/
+    );
+} );
+
+test( 'labels the counter of repeated plays only', () => {
+    assert.equal( getCounterLabel( { repetition: 3, repetitions: 5, round: 1, rounds: 2 } ), 'Round 1/2 · Repetition 3/5' );
+    assert.equal( getCounterLabel( { repetition: 1, repetitions: 3, round: 1, rounds: 1 } ), 'Repetition 1/3' );
+    assert.equal( getCounterLabel( { repetition: 1, repetitions: 1, round: 1, rounds: 1 } ), null );
+} );
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Ajv2020 from 'ajv/dist/2020.js';
+import { validateRenderRequest, createValidationError, REQUEST_SCHEMA } from '../lib/schema.js';
+
+const request = {
+    recitation_files: [{ audio_files: [{ url: 'a.mp3', segments: [[1, 0, 500]] }] }],
+    ayat: [{ verse_key: '1:1', aya: 'بسم الله', translation: 'In the name of Allah' }],
+    background: { type: 'color', color: '#101820' }
+};
+
+const codes = ( errors ) => errors.map( ( { code, path } ) => `${ code } ${ path }` );
+
+test( 'accepts a complete request and a verse range', () => {
+    assert.deepEqual( validateRenderRequest( request ), [] );
+    assert.deepEqual( validateRenderRequest( { verses: '1:1-7', background: { links: ['https://example.com/v.mp4'] }, translation: ['sahih', 'bn'] } ), [] );
+} );
+
+test( 'needs either verses, or recitation_files and ayat', () => {
+    assert.deepEqual( codes( validateRenderRequest( { background: {} } ) ), ['invalid_value $'] );
+    assert.deepEqual( codes( validateRenderRequest( { ...request, verses: '1:1' } ) ), ['invalid_value $'] );
+    assert.deepEqual( codes( validateRenderRequest( [] ) ), ['invalid_type $'] );
+} );
+
+test( 'reports every problem with its code and path', () => {
+    const errors = validateRenderRequest( {
+        ...request,
+        recitation_files: [{ audio_files: [] }],
+        ayat: [{ verse_key: '1-1', aya: 5 }],
+        format: 5,
+        typo: true
+    } );
+    assert.deepEqual( codes( errors ), [
+        'unknown_field $.typo',
+        'too_few_items $.recitation_files[0].audio_files',
+        'invalid_format $.ayat[0].verse_key',
+        'invalid_type $.ayat[0].aya',
+        'invalid_type $.format'
+    ] );
+    assert.equal( errors[2].message, 'ayat[0].verse_key must be a verse key such as "2:255"' );
+} );
+
+test( 'checks media sources and the background type', () => {
+    const errors = validateRenderRequest( {
+        ...request,
+        recitation_files: [{ audio_files: [{}] }],
+        background: { links: [3], type: 'foo' }
+    } );
+    assert.deepEqual( codes( errors ), [
+        'invalid_value $.recitation_files[0].audio_files[0]',
+        'invalid_value $.background.type',
+        'invalid_type $.background.links[0]'
+    ] );
+    assert.deepEqual(
+        codes( validateRenderRequest( { ...request, background: { links: ['', { url: '' }, { upload_id: 'a b' }, 'https://example.com/v.mp4'] } } ) ),
+        ['too_short $.background.links[0]', 'too_short $.background.links[1].url', 'invalid_format $.background.links[2].upload_id']
+    );
+} );
+
+test( 'ignores extra fields of ayat and recitation files', () => {
+    const errors = validateRenderRequest( {
+        ...request,
+        recitation_files: [{ ...request.recitation_files[0], chapter_id: 1 }],
+        ayat: [{ ...request.ayat[0], juz_number: 1 }]
+    } );
+    assert.deepEqual( errors, [] );
+} );
+
+test( 'leaves out fields set to undefined, as JSON would', () => {
+    const errors = validateRenderRequest( {
+        ...request,
+        recitation_files: [{ audio_files: [{ url: 'a.mp3', segments: undefined }] }],
+        ayat: [{ ...request.ayat[0], translation: undefined }],
+        translations: undefined
+    } );
+    assert.deepEqual( errors, [] );
+} );
+
+test( 'pairs recitation files with ayat', () => {
+    assert.deepEqual(
+        codes( validateRenderRequest( { ...request, ayat: [...request.ayat, { verse_key: '1:2', aya: 'الحمد لله' }] } ) ),
+        ['length_mismatch $.recitation_files']
+    );
+    assert.deepEqual(
+        codes( validateRenderRequest( { ...request, recitation_files: [{ ...request.recitation_files[0], verse_key: '1:2' }] } ) ),
+        ['verse_key_mismatch $.recitation_files[0].verse_key']
+    );
+} );
+
+test( 'limits the length of strings', () => {
+    const errors = validateRenderRequest( { ...request, ayat: [{ verse_key: '1:1', aya: 'x'.repeat( 3000 ) }] } );
+    assert.deepEqual( codes( errors ), ['too_long $.ayat[0].aya'] );
+} );
+
+test( 'checks a translation or a list of them', () => {
+    const withTranslation = ( translation ) => codes( validateRenderRequest( { verses: '1:1', background: {}, translation } ) );
+    assert.deepEqual( withTranslation( '' ), ['too_short $.translation'] );
+    assert.deepEqual( withTranslation( [] ), ['too_few_items $.translation'] );
+    assert.deepEqual( withTranslation( ['sahih', ''] ), ['too_short $.translation[1]'] );
+    assert.deepEqual( withTranslation( 5 ), ['invalid_type $.translation'] );
+} );
+
+test( 'publishes a valid JSON Schema', () => {
+    const ajv = new Ajv2020( { strict: false } );
+    assert.equal( ajv.validateSchema( REQUEST_SCHEMA ), true, ajv.errorsText() );
+    assert.equal( REQUEST_SCHEMA.$schema, 'https://json-schema.org/draft/2020-12/schema' );
+} );
+
+test( 'makes one error from the problems', () => {
+    const error = createValidationError( [
+        { code: 'missing_field', path: '$.ayat', message: 'ayat is required' },
+        { code: 'missing_field', path: '$.background', message: 'background is required' }
+    ] );
+    assert.equal( error.message, 'ayat is required (and 1 more problem)' );
+    assert.equal( error.errors.length, 2 );
+} );
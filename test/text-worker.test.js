@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { createWorkerPool } from '../lib/concurrency.js';
+import { resolveFormat, createLayout } from '../lib/layout.js';
+
+const require = createRequire( import.meta.url );
+const PNG_SIGNATURE = Buffer.from( [0x89, 0x50, 0x4e, 0x47] );
+
+/**
+ * Why text images can't be drawn here, or false when they can: canvas isn't built, or is older than
+ * canvas 3, which can't be loaded in a worker thread.
+ */
+function canvasMissing( { inWorker } ) {
+    try {
+        require( 'canvas' );
+    } catch ( err ) {
+        return `canvas can't be loaded: ${ err.message.split( '\n' )[0] }`;
+    }
+    const major = parseInt( require( 'canvas/package.json' ).version, 10 );
+    return inWorker && major < 3 ? `canvas ${ major } can't be loaded in a worker thread` : false;
+}
+
+/**
+ * Draw a title card with the given renderer and check that it wrote a PNG.
+ */
+async function drawCard( render ) {
+    const directory = fs.mkdtempSync( path.join( os.tmpdir(), 'text-worker-test-' ) );
+    try {
+        const imagePath = path.join( directory, 'card.png' );
+        const lines = [{ text: 'بِسۡمِ ٱللَّهِ', font: 'arabic', scale: 1 }, { text: 'In the name of Allah', font: 'translation', scale: 0.7 }];
+        const height = await render( 'card', [lines, imagePath, createLayout( resolveFormat() )] );
+        assert.ok( height > 0 );
+        assert.deepEqual( fs.readFileSync( imagePath ).subarray( 0, 4 ), PNG_SIGNATURE );
+    } finally {
+        fs.rmSync( directory, { recursive: true, force: true } );
+    }
+}
+
+test( 'draws a text image on the main thread', { skip: canvasMissing( { inWorker: false } ) }, async () => {
+    const { registerFonts, TEXT_IMAGE_RENDERERS } = await import( '../lib/text-images.js' );
+    registerFonts( {} );
+    await drawCard( ( task, args ) => TEXT_IMAGE_RENDERERS[task]( ...args ) );
+} );
+
+test( 'draws a text image in lib/text-worker.js', { skip: canvasMissing( { inWorker: true } ) }, async () => {
+    const pool = createWorkerPool( { file: new URL( '../lib/text-worker.js', import.meta.url ), size: 1 } );
+    try {
+        await drawCard( ( task, args ) => pool.run( task, args ) );
+    } finally {
+        await pool.close();
+    }
+} );
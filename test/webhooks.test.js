@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { signWebhook, validateWebhookUrl, isPrivateAddress, buildWebhookPayload, createWebhookSender } from '../lib/webhooks.js';
+
+/**
+ * Start a receiver on localhost that answers with the given statuses in turn and keeps the calls it got.
+ */
+async function startReceiver( statuses ) {
+    const calls = [];
+    const server = http.createServer( ( req, res ) => {
+        let body = '';
+        req.on( 'data', ( chunk ) => body += chunk );
+        req.on( 'end', () => {
+            calls.push( { headers: req.headers, body } );
+            res.writeHead( statuses[Math.min( calls.length, statuses.length ) - 1] );
+            res.end();
+        } );
+    } );
+    await new Promise( ( resolve ) => server.listen( 0, '127.0.0.1', resolve ) );
+    return { calls, server, url: `http://127.0.0.1:${ server.address().port }/hook` };
+}
+
+test( 'signs the timestamp and body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac( 'sha256', 'secret' ).update( '1700000000.{"a":1}' ).digest( 'hex' );
+    assert.equal( signWebhook( 'secret', 1700000000, '{"a":1}' ), `sha256=${ expected }` );
+    assert.notEqual( signWebhook( 'secret', 1700000001, '{"a":1}' ), signWebhook( 'secret', 1700000000, '{"a":1}' ) );
+} );
+
+test( 'accepts public http(s) URLs', () => {
+    assert.equal( validateWebhookUrl( 'https://example.com/hook' ), 'https://example.com/hook' );
+    assert.equal( validateWebhookUrl( 'http://93.184.216.34/hook' ), 'http://93.184.216.34/hook' );
+    assert.throws( () => validateWebhookUrl( 'not a url' ), /must be an absolute URL/ );
+    assert.throws( () => validateWebhookUrl( 'ftp://example.com/hook' ), /Unsupported webhook_url protocol: ftp:/ );
+} );
+
+test( 'refuses private addresses unless their host is allowlisted', () => {
+    for ( const url of ['http://localhost/hook', 'http://api.localhost/hook', 'http://127.0.0.1/hook', 'http://10.1.2.3/hook', 'http://169.254.169.254/latest', 'http://[::1]/hook', 'http://[::ffff:192.168.0.1]/hook'] ) {
+        assert.throws( () => validateWebhookUrl( url ), /is a private address/, url );
+    }
+    assert.equal( validateWebhookUrl( 'http://localhost/hook', ['localhost'] ), 'http://localhost/hook' );
+    assert.equal( validateWebhookUrl( 'https://hooks.example.com/a', ['example.com'] ), 'https://hooks.example.com/a' );
+    assert.throws( () => validateWebhookUrl( 'https://example.org/a', ['example.com'] ), /Webhook host example.org is not allowed/ );
+    assert.throws( () => validateWebhookUrl( 'https://badexample.com/a', ['example.com'] ), /is not allowed/ );
+} );
+
+test( 'tells private addresses from public ones', () => {
+    for ( const address of ['0.0.0.0', '10.0.0.1', '100.64.0.1', '127.0.0.1', '172.31.255.255', '192.168.1.1', '224.0.0.1', '::', '::1', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1'] ) {
+        assert.equal( isPrivateAddress( address ), true, address );
+    }
+    for ( const address of ['8.8.8.8', '172.32.0.1', '2606:4700:4700::1111'] ) {
+        assert.equal( isPrivateAddress( address ), false, address );
+    }
+} );
+
+test( 'builds the payload of a finished or failed job', () => {
+    const result = { videoId: 'v1', videoUrl: 'https://cdn/v1.mp4', presignedUrl: 'https://cdn/v1.mp4?sig', timings: { duration: 12 } };
+    assert.deepEqual( buildWebhookPayload( 'j1', { result } ), {
+        event: 'video.completed',
+        jobId: 'j1',
+        videoId: 'v1',
+        status: 'done',
+        videoUrl: result.videoUrl,
+        presignedUrl: result.presignedUrl,
+        duration: 12,
+        timings: result.timings,
+        subtitles: undefined,
+        poster: undefined,
+        animatedPreview: undefined
+    } );
+    assert.deepEqual( buildWebhookPayload( 'j2', { error: 'boom' } ), { event: 'video.failed', jobId: 'j2', videoId: 'j2', status: 'failed', error: 'boom' } );
+} );
+
+test( 'delivers signed calls and retries until one is accepted', async () => {
+    const receiver = await startReceiver( [500, 200] );
+    try {
+        const sender = createWebhookSender( { secret: 'secret', baseDelayMs: 1, publicOnly: false } );
+        const delivery = await sender.deliver( 'j1', receiver.url, { event: 'video.completed', jobId: 'j1' } );
+
+        assert.equal( delivery.state, 'delivered' );
+        assert.deepEqual( delivery.attempts.map( ( { status } ) => status ), [500, 200] );
+        assert.equal( sender.getDelivery( 'j1' ), delivery );
+
+        const { headers, body } = receiver.calls[1];
+        assert.equal( headers['x-webhook-event'], 'video.completed' );
+        assert.equal( headers['x-webhook-id'], delivery.id );
+        assert.equal( headers['x-webhook-signature'], signWebhook( 'secret', headers['x-webhook-timestamp'], body ) );
+    } finally {
+        receiver.server.close();
+    }
+} );
+
+test( 'gives up after the last attempt', async () => {
+    const receiver = await startReceiver( [503] );
+    try {
+        const sender = createWebhookSender( { secret: 'secret', maxAttempts: 3, baseDelayMs: 1, publicOnly: false } );
+        const delivery = await sender.deliver( 'j1', receiver.url, { event: 'video.failed' } );
+        assert.equal( delivery.state, 'failed' );
+        assert.equal( receiver.calls.length, 3 );
+        assert.equal( delivery.attempts[2].error, 'Receiver responded with 503' );
+    } finally {
+        receiver.server.close();
+    }
+} );
+
+test( 'does not send to private addresses when only public hosts are allowed', async () => {
+    const receiver = await startReceiver( [200] );
+    try {
+        const sender = createWebhookSender( { secret: 'secret', maxAttempts: 1 } );
+        const delivery = await sender.deliver( 'j1', receiver.url, { event: 'video.completed' } );
+        assert.equal( delivery.state, 'failed' );
+        assert.match( delivery.attempts[0].error, /resolves to the private address 127\.0\.0\.1/ );
+        assert.equal( receiver.calls.length, 0 );
+    } finally {
+        receiver.server.close();
+    }
+} );